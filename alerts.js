@@ -0,0 +1,349 @@
+/**
+ * Energy Price Projections - Price Alerts
+ * Coordinator: Luke Markham
+ *
+ * Threshold rules evaluated against current prices on a schedule. A rule fires
+ * when its condition becomes true and re-arms once it is false again, so a price
+ * sitting above a threshold alerts once rather than on every run. Fired alerts
+ * are kept in a history and POSTed as JSON to a webhook.
+ *
+ * createAlertService takes the price lookup, store, HTTP client and clock as
+ * dependencies, so it can run against a fake feed and a local stand-in receiver.
+ *
+ * Webhooks only go to allowed origins (the configured default webhook plus an
+ * explicit allowlist), so rules cannot point the server at arbitrary hosts.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+// Conditions a rule can watch. Change rules compare the absolute percent move.
+const ALERT_CONDITIONS = {
+    above: {
+        label: 'Price above',
+        check: (quote, threshold) => quote.value > threshold,
+        describe: rule => `above ${rule.threshold}`
+    },
+    below: {
+        label: 'Price below',
+        check: (quote, threshold) => quote.value < threshold,
+        describe: rule => `below ${rule.threshold}`
+    },
+    'day-change': {
+        label: 'Moved more than % in a day',
+        check: (quote, threshold) => quote.dayChange !== null && Math.abs(quote.dayChange) > threshold,
+        describe: rule => `moved more than ${rule.threshold}% in a day`
+    },
+    'week-change': {
+        label: 'Moved more than % in a week',
+        check: (quote, threshold) => quote.weekChange !== null && Math.abs(quote.weekChange) > threshold,
+        describe: rule => `moved more than ${rule.threshold}% in a week`
+    }
+};
+
+// Oldest fired alerts are dropped beyond this
+const MAX_ALERT_HISTORY = 500;
+const WEBHOOK_TIMEOUT_MS = 10000;
+
+// ===== Store =====
+// Rules and history in one JSON file, rewritten atomically on every change
+
+function createAlertStore(file) {
+    let state = null;
+
+    async function load() {
+        if (state) return state;
+        try {
+            state = JSON.parse(await fs.promises.readFile(file, 'utf8'));
+        } catch (error) {
+            if (error.code !== 'ENOENT') {
+                console.error('Alert store read failed:', error.message);
+            }
+            state = { rules: [], history: [] };
+        }
+        return state;
+    }
+
+    async function save() {
+        const temp = `${file}.${process.pid}.tmp`;
+        try {
+            await fs.promises.mkdir(path.dirname(file), { recursive: true });
+            await fs.promises.writeFile(temp, JSON.stringify(state, null, 2));
+            await fs.promises.rename(temp, file);
+        } catch (error) {
+            // Keep running from memory; the next successful save catches up
+            console.error('Alert store write failed:', error.message);
+        }
+    }
+
+    return { load, save };
+}
+
+// ===== Validation =====
+
+// Origins ("https://hooks.example.com") of the webhook URLs given, skipping empty and invalid ones
+function webhookOrigins(urls) {
+    const origins = [];
+    urls.forEach(url => {
+        try {
+            if (url) origins.push(new URL(url).origin);
+        } catch (error) {
+            console.error(`Ignoring invalid webhook URL ${url}:`, error.message);
+        }
+    });
+    return origins;
+}
+
+function isWebhookAllowed(url, allowedOrigins) {
+    try {
+        const parsed = new URL(url);
+        return /^https?:$/.test(parsed.protocol) && allowedOrigins.includes(parsed.origin);
+    } catch (error) {
+        return false;
+    }
+}
+
+// Rule names are shown in the page and in webhook payloads
+const MAX_RULE_NAME_LENGTH = 200;
+
+// Error message for the fields a rule may change after it is created, or null.
+// A null name or webhookUrl falls back to the generated name or the default webhook.
+function validateRuleFields(rule, allowedWebhooks) {
+    if (rule.threshold !== undefined &&
+        (typeof rule.threshold !== 'number' || !isFinite(rule.threshold) || rule.threshold < 0)) {
+        return 'threshold must be a non-negative number';
+    }
+    if (rule.name !== undefined && rule.name !== null &&
+        (typeof rule.name !== 'string' || !rule.name.trim() || rule.name.length > MAX_RULE_NAME_LENGTH)) {
+        return `name must be a non-empty string of at most ${MAX_RULE_NAME_LENGTH} characters`;
+    }
+    if (rule.enabled !== undefined && typeof rule.enabled !== 'boolean') {
+        return 'enabled must be true or false';
+    }
+    if (rule.webhookUrl !== undefined && rule.webhookUrl !== null && !isWebhookAllowed(rule.webhookUrl, allowedWebhooks)) {
+        return allowedWebhooks.length > 0
+            ? `webhookUrl must be an http(s) URL on an allowed host: ${allowedWebhooks.join(', ')}`
+            : 'webhookUrl is not allowed: no webhook hosts are configured';
+    }
+    return null;
+}
+
+// Returns an error message, or null when the rule definition is usable.
+// hubsFor(source, region) lists the region's benchmark hubs, or null where it has none;
+// allowedWebhooks lists the origins a rule's webhookUrl may point at.
+function validateRule(rule, { sources, regionsFor, hubsFor, allowedWebhooks = [] }) {
+    if (!rule || typeof rule !== 'object') return 'Rule must be an object';
+    if (!sources.includes(rule.source)) return `Unknown energy source: ${rule.source}`;
+    if (!regionsFor(rule.source).includes(rule.region)) return `No ${rule.region} prices for ${rule.source}`;
+    if (!Object.prototype.hasOwnProperty.call(ALERT_CONDITIONS, rule.condition)) {
+        return `condition must be one of: ${Object.keys(ALERT_CONDITIONS).join(', ')}`;
+    }
+    if (rule.threshold === undefined) return 'threshold must be a non-negative number';
+    if (rule.hub !== undefined && rule.hub !== null) {
+        const hubs = hubsFor(rule.source, rule.region);
+        if (!hubs) return `${rule.source} ${rule.region} has no benchmark hubs`;
+        if (!hubs.includes(rule.hub)) return `hub must be one of: ${hubs.join(', ')}`;
+    }
+    return validateRuleFields(rule, allowedWebhooks);
+}
+
+// Returns an error message, or null when the changes can be applied by updateRule
+function validateRuleChanges(changes, { allowedWebhooks = [] }) {
+    if (!changes || typeof changes !== 'object' || Array.isArray(changes)) return 'Changes must be an object';
+    return validateRuleFields(changes, allowedWebhooks);
+}
+
+// ===== Service =====
+// getQuote(source, region, hub) resolves to { value, date, unit, estimated, dayChange, weekChange }.
+// webhookUrl is the default destination; a rule's own webhookUrl overrides it when its
+// origin is in allowedWebhooks (the default webhook's origin is always allowed).
+function createAlertService({ store, getQuote, fetch, webhookUrl = null, allowedWebhooks = [], now = Date.now }) {
+    const allowedOrigins = webhookOrigins([webhookUrl]).concat(allowedWebhooks);
+    let running = null;
+
+    function createId() {
+        return crypto.randomBytes(8).toString('hex');
+    }
+
+    function describeRule(rule) {
+        const hub = rule.hub ? ` (${rule.hub.toUpperCase()})` : '';
+        return `${rule.source} ${rule.region}${hub} ${ALERT_CONDITIONS[rule.condition].describe(rule)}`;
+    }
+
+    async function listRules() {
+        return (await store.load()).rules;
+    }
+
+    async function addRule(definition) {
+        const state = await store.load();
+        const rule = {
+            id: createId(),
+            name: definition.name || describeRule(definition),
+            source: definition.source,
+            region: definition.region,
+            hub: definition.hub || null,
+            condition: definition.condition,
+            threshold: definition.threshold,
+            webhookUrl: definition.webhookUrl || null,
+            enabled: definition.enabled !== false,
+            createdAt: new Date(now()).toISOString(),
+            // Set while the condition holds, so the rule fires once per crossing
+            triggered: false,
+            lastEvaluatedAt: null
+        };
+        state.rules.push(rule);
+        await store.save();
+        return rule;
+    }
+
+    // Only name, threshold, webhookUrl and enabled can change; anything else is a new rule.
+    // Throws on changes validateRuleChanges rejects.
+    async function updateRule(id, changes) {
+        const error = validateRuleChanges(changes, { allowedWebhooks: allowedOrigins });
+        if (error) throw new Error(error);
+
+        const state = await store.load();
+        const rule = state.rules.find(r => r.id === id);
+        if (!rule) return null;
+
+        ['name', 'threshold', 'webhookUrl', 'enabled'].forEach(key => {
+            if (changes[key] !== undefined) rule[key] = changes[key];
+        });
+        if (changes.name === null) rule.name = describeRule(rule);
+        if (changes.threshold !== undefined) rule.triggered = false;
+        await store.save();
+        return rule;
+    }
+
+    async function removeRule(id) {
+        const state = await store.load();
+        const before = state.rules.length;
+        state.rules = state.rules.filter(r => r.id !== id);
+        if (state.rules.length === before) return false;
+        await store.save();
+        return true;
+    }
+
+    async function listHistory(limit = 100) {
+        return (await store.load()).history.slice(0, limit);
+    }
+
+    // POST the alert; failures are recorded on the alert rather than retried
+    async function deliver(alert, url) {
+        if (!url) {
+            return { status: 'skipped', reason: 'No webhook configured' };
+        }
+        // Rules saved before the allowlist existed are checked again here
+        if (!isWebhookAllowed(url, allowedOrigins)) {
+            return { status: 'skipped', reason: 'Webhook host not allowed' };
+        }
+        try {
+            const response = await fetch(url, {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({ type: 'price-alert', alert }),
+                timeout: WEBHOOK_TIMEOUT_MS
+            });
+            return response.ok
+                ? { status: 'delivered', statusCode: response.status }
+                : { status: 'failed', statusCode: response.status };
+        } catch (error) {
+            console.error(`Alert webhook failed for ${url}:`, error.message);
+            return { status: 'failed', error: error.message };
+        }
+    }
+
+    async function evaluateRule(rule, quotes) {
+        const key = `${rule.source}|${rule.region}|${rule.hub || ''}`;
+        if (!quotes.has(key)) {
+            quotes.set(key, getQuote(rule.source, rule.region, rule.hub).catch(error => {
+                console.error(`Alert price lookup failed for ${key}:`, error.message);
+                return null;
+            }));
+        }
+        const quote = await quotes.get(key);
+        rule.lastEvaluatedAt = new Date(now()).toISOString();
+
+        // Estimates are not market data, so they neither fire nor re-arm a rule
+        if (!quote || quote.estimated) return null;
+
+        const holds = ALERT_CONDITIONS[rule.condition].check(quote, rule.threshold);
+        const fires = holds && !rule.triggered;
+        rule.triggered = holds;
+        if (!fires) return null;
+
+        const alert = {
+            id: createId(),
+            ruleId: rule.id,
+            ruleName: rule.name,
+            source: rule.source,
+            region: rule.region,
+            hub: rule.hub,
+            condition: rule.condition,
+            threshold: rule.threshold,
+            value: quote.value,
+            unit: quote.unit,
+            dayChange: quote.dayChange,
+            weekChange: quote.weekChange,
+            observedAt: quote.date,
+            firedAt: new Date(now()).toISOString(),
+            message: `${rule.name}: ${rule.source} ${rule.region} at ${quote.value}${quote.unit || ''}`
+        };
+        alert.delivery = await deliver(alert, rule.webhookUrl || webhookUrl);
+        return alert;
+    }
+
+    // Evaluate every enabled rule once; resolves to the alerts fired by this run.
+    // Overlapping calls share one run.
+    function evaluate() {
+        if (!running) {
+            running = (async () => {
+                const state = await store.load();
+                const quotes = new Map();
+                const fired = [];
+
+                for (const rule of state.rules.filter(r => r.enabled)) {
+                    const alert = await evaluateRule(rule, quotes);
+                    if (alert) fired.push(alert);
+                }
+
+                state.history = fired.reverse().concat(state.history).slice(0, MAX_ALERT_HISTORY);
+                await store.save();
+                return fired;
+            })().finally(() => {
+                running = null;
+            });
+        }
+        return running;
+    }
+
+    // Run evaluate() every intervalMs; returns a function that stops the schedule
+    function schedule(intervalMs) {
+        const timer = setInterval(() => {
+            evaluate().catch(error => console.error('Alert evaluation failed:', error.message));
+        }, intervalMs);
+        // Do not keep the process alive just for alerts
+        if (timer.unref) timer.unref();
+        return () => clearInterval(timer);
+    }
+
+    return {
+        listRules,
+        addRule,
+        updateRule,
+        removeRule,
+        listHistory,
+        evaluate,
+        schedule
+    };
+}
+
+module.exports = {
+    ALERT_CONDITIONS,
+    createAlertStore,
+    webhookOrigins,
+    validateRule,
+    validateRuleChanges,
+    createAlertService
+};
@@ -8,56 +8,8 @@
 
 // ===== Configuration =====
 const CONFIG = {
-    sources: {
-        oil: {
-            name: 'Oil',
-            fullName: 'Crude Oil (WTI)',
-            unit: 'barrel',
-            elasticity: 0.4, // Price elasticity of demand
-            usUnit: '/barrel',
-            worldUnit: '/barrel'
-        },
-        'natural-gas': {
-            name: 'Natural Gas',
-            fullName: 'Natural Gas (Henry Hub)',
-            unit: 'MMBtu',
-            elasticity: 0.25,
-            usUnit: '/MMBtu',
-            worldUnit: '/MMBtu'
-        },
-        nuclear: {
-            name: 'Nuclear',
-            fullName: 'Nuclear Energy (Uranium)',
-            unit: 'lb',
-            elasticity: 0.15,
-            usUnit: '/MWh',
-            worldUnit: '/MWh'
-        },
-        solar: {
-            name: 'Solar',
-            fullName: 'Solar PV',
-            unit: 'MWh',
-            elasticity: 0.1,
-            usUnit: '/MWh',
-            worldUnit: '/MWh'
-        },
-        renewables: {
-            name: 'Other Renewables',
-            fullName: 'Wind & Other Renewables',
-            unit: 'MWh',
-            elasticity: 0.12,
-            usUnit: '/MWh',
-            worldUnit: '/MWh'
-        },
-        coal: {
-            name: 'Coal',
-            fullName: 'Thermal Coal',
-            unit: 'ton',
-            elasticity: 0.35,
-            usUnit: '/short ton',
-            worldUnit: '/metric ton'
-        }
-    },
+    // Projection assumptions per source are shared with the server (projections.js)
+    sources: ENERGY_SOURCES,
 
     // Data source URLs for reference
     dataSources: [
@@ -91,11 +43,11 @@ const CONFIG = {
 
 // ===== State Management =====
 let currentSource = null;
-let currentData = {
-    us: { price: null, date: null },
-    world: { price: null, date: null }
-};
+let currentData = {};
 let projectionHistory = [];
+let currentSummaryData = null;
+// Last projection calculated for each region of the current source
+let latestProjection = {};
 
 // ===== Icon Templates =====
 const sourceIcons = {
@@ -182,8 +134,37 @@ const sourceIcons = {
                 <stop offset="100%" style="stop-color:#111827"/>
             </linearGradient>
         </defs>
+    </svg>`,
+    gasoline: `<svg viewBox="0 0 64 64" fill="none">
+        <rect x="12" y="10" width="26" height="46" rx="3" fill="url(#productsGradient)"/>
+        <rect x="17" y="16" width="16" height="12" rx="1" fill="#1e293b"/>
+        <path d="M38 22 L46 22 L50 28 L50 48 C50 51 46 51 46 48 L46 36 L38 36"
+              stroke="url(#productsGradient)" stroke-width="3" stroke-linecap="round" stroke-linejoin="round"/>
+        <rect x="8" y="54" width="34" height="4" rx="1" fill="#475569"/>
+        <defs>
+            <linearGradient id="productsGradient" x1="12" y1="10" x2="50" y2="56">
+                <stop offset="0%" style="stop-color:#f87171"/>
+                <stop offset="100%" style="stop-color:#b91c1c"/>
+            </linearGradient>
+        </defs>
+    </svg>`,
+    electricity: `<svg viewBox="0 0 64 64" fill="none">
+        <path d="M36 6 L16 36 L30 36 L26 58 L48 26 L34 26 Z" fill="url(#electricityGradient)"/>
+        <defs>
+            <linearGradient id="electricityGradient" x1="16" y1="6" x2="48" y2="58">
+                <stop offset="0%" style="stop-color:#60a5fa"/>
+                <stop offset="100%" style="stop-color:#2563eb"/>
+            </linearGradient>
+        </defs>
     </svg>`
 };
+// Uranium is the fuel-cost basis of the nuclear page, wholesale the second basis of
+// electricity; the refined products share the gasoline page
+sourceIcons.uranium = sourceIcons.nuclear;
+sourceIcons['electricity-wholesale'] = sourceIcons.electricity;
+['diesel', 'jet-fuel', 'heating-oil'].forEach(source => {
+    sourceIcons[source] = sourceIcons.gasoline;
+});
 
 // ===== Navigation Functions =====
 function navigateToSource(source) {
@@ -198,15 +179,29 @@ function navigateToSource(source) {
     document.getElementById('source-title').textContent = sourceConfig.fullName;
     document.getElementById('source-icon').innerHTML = sourceIcons[source];
 
-    // Update units
-    document.getElementById('us-unit').textContent = sourceConfig.usUnit;
-    document.getElementById('world-unit').textContent = sourceConfig.worldUnit;
-
-    // Reset values
-    resetProjectionValues();
+    // Fresh region sections reset every value shown for the previous source
+    currentData = {};
+    latestProjection = {};
+    forwardCurves = {};
+    renderRegionSections(source);
+    renderPriceBases(source);
+    resetCharts();
+    resetModelComparison();
+    resetLinkedResults();
+    resetSimulations();
+    activeRegions.forEach(region => {
+        renderAssumptionsPanel(region);
+        renderModelInputs(region);
+    });
 
     // Fetch data
-    fetchEnergyData(source);
+    return Promise.all([
+        fetchEnergyData(source),
+        loadFuelCost(source),
+        loadForwardCurves(source),
+        ...activeRegions.map(region => loadPriceHistory(source, region)),
+        ...activeRegions.map(region => loadTrendHistory(source, region))
+    ]);
 }
 
 function goBack() {
@@ -214,19 +209,199 @@ function goBack() {
     document.getElementById('landing-page').classList.add('active');
     currentSource = null;
     document.getElementById('summary-section').style.display = 'none';
+    renderScenarios();
+    loadDashboard();
+}
+
+// ===== Region Sections =====
+// Flags for the original two regions; the others show their short code
+const REGION_FLAGS = {
+    us: `<svg viewBox="0 0 60 40">
+        <rect width="60" height="40" fill="#bf0a30"/>
+        <rect y="3" width="60" height="3" fill="white"/>
+        <rect y="9" width="60" height="3" fill="white"/>
+        <rect y="15" width="60" height="3" fill="white"/>
+        <rect y="21" width="60" height="3" fill="white"/>
+        <rect y="27" width="60" height="3" fill="white"/>
+        <rect y="33" width="60" height="3" fill="white"/>
+        <rect width="24" height="21" fill="#002868"/>
+    </svg>`,
+    world: `<svg viewBox="0 0 60 40">
+        <rect width="60" height="40" fill="#0077be"/>
+        <circle cx="30" cy="20" r="14" fill="none" stroke="white" stroke-width="1.5"/>
+        <ellipse cx="30" cy="20" rx="14" ry="6" fill="none" stroke="white" stroke-width="1"/>
+        <ellipse cx="30" cy="20" rx="6" ry="14" fill="none" stroke="white" stroke-width="1"/>
+        <line x1="16" y1="20" x2="44" y2="20" stroke="white" stroke-width="0.8"/>
+        <line x1="30" y1="6" x2="30" y2="34" stroke="white" stroke-width="0.8"/>
+    </svg>`
+};
+
+const REGION_CODES = {
+    eu: 'EU',
+    uk: 'UK',
+    japan: 'JP',
+    china: 'CN',
+    india: 'IN',
+    australia: 'AU'
+};
+
+// Regions the current source has data for, in display order
+let activeRegions = ['us', 'world'];
+
+function regionFlag(region) {
+    return REGION_FLAGS[region] || `<span class="region-code">${REGION_CODES[region] || region.toUpperCase()}</span>`;
 }
 
-function resetProjectionValues() {
-    document.getElementById('us-price').textContent = '--';
-    document.getElementById('world-price').textContent = '--';
-    document.getElementById('us-price-date').textContent = 'Loading...';
-    document.getElementById('world-price-date').textContent = 'Loading...';
-    document.getElementById('us-price-projection').textContent = '--';
-    document.getElementById('world-price-projection').textContent = '--';
-    document.getElementById('us-new-price').textContent = '$--';
-    document.getElementById('world-new-price').textContent = '$--';
-    document.getElementById('us-usage-increase').value = 10;
-    document.getElementById('world-usage-increase').value = 10;
+function regionSectionTemplate(source, region) {
+    return `
+        <section class="region-section ${region}-section">
+            <div class="region-header">
+                <div class="region-flag ${region}-flag">${regionFlag(region)}</div>
+                <h2>${REGIONS[region]}</h2>
+                <select id="${region}-hub" class="projection-select hub-select" aria-label="Benchmark hub"
+                        onchange="selectHub('${region}', this.value)" style="display: none;"></select>
+                <select id="${region}-state" class="projection-select hub-select" aria-label="State"
+                        onchange="selectState('${region}', this.value)" style="display: none;"></select>
+            </div>
+
+            <div class="price-display">
+                <div id="${region}-price-card" class="current-price-card">
+                    <span class="price-label">Current Price</span>
+                    <div class="price-value">
+                        <span id="${region}-currency" class="currency">${priceConversion(source, region).symbol}</span>
+                        <span id="${region}-price" class="price-number">--</span>
+                        <span id="${region}-unit" class="price-unit">${priceConversion(source, region).unit}</span>
+                    </div>
+                    <span id="${region}-price-date" class="price-date">Loading...</span>
+                    <span id="${region}-crack" class="price-crack" style="display: none;"></span>
+                    <span id="${region}-curve" class="price-curve" style="display: none;"></span>
+                </div>
+
+                <div class="price-chart" id="${region}-chart">
+                    <div class="chart-ranges">
+                        ${Object.keys(CHART_RANGES).map(range => `
+                        <button class="range-btn" data-range="${range}" onclick="setChartRange('${region}', '${range}')">${range === 'MAX' ? 'Max' : range}</button>`).join('')}
+                    </div>
+                    <div class="chart-canvas" id="${region}-chart-canvas"></div>
+                    <div class="chart-tooltip" id="${region}-chart-tooltip"></div>
+                </div>
+            </div>
+
+            <div class="projection-panel">
+                <h3>Usage & Price Projection</h3>
+                <div class="projection-options">
+                    <div class="input-group">
+                        <label for="${region}-model">Model</label>
+                        <select id="${region}-model" class="projection-select">
+                            ${Object.values(PROJECTION_MODELS).map(model => `<option value="${model.id}">${model.label}</option>`).join('')}
+                        </select>
+                    </div>
+                    <div class="input-group">
+                        <label for="${region}-horizon">Horizon</label>
+                        <select id="${region}-horizon" class="projection-select">
+                            <option value="0">Immediate</option>
+                            <option value="6">6 months</option>
+                            <option value="12" selected>1 year</option>
+                            <option value="24">2 years</option>
+                            <option value="60">5 years</option>
+                            <option value="120">10 years</option>
+                        </select>
+                    </div>
+                    <div class="input-group">
+                        <label for="${region}-demand-path">Demand Path</label>
+                        <select id="${region}-demand-path" class="projection-select">
+                            <option value="linear" selected>Linear ramp</option>
+                            <option value="compound">Compound growth</option>
+                            <option value="immediate">Immediate step</option>
+                        </select>
+                    </div>
+                    <div class="input-group" id="${region}-anchor-group" style="display: none;">
+                        <label for="${region}-anchor">Start From</label>
+                        <select id="${region}-anchor" class="projection-select">
+                            <option value="spot" selected>Spot price</option>
+                            <option value="forward">Forward curve</option>
+                        </select>
+                    </div>${CONFIG.sources[source].crude ? `
+                    <div class="input-group">
+                        <label for="${region}-crude-change">Crude (${CONFIG.sources[source].crude.name}) Change</label>
+                        <div class="input-wrapper">
+                            <input type="number" id="${region}-crude-change" min="-100" max="500" value="0" step="1">
+                            <span class="input-suffix">%</span>
+                        </div>
+                    </div>` : ''}
+                </div>
+                <p id="${region}-model-description" class="model-description"></p>
+                <div id="${region}-model-inputs" class="projection-options model-inputs"></div>
+                <div class="projection-inputs">
+                    <div class="input-group">
+                        <label for="${region}-usage-increase">Projected Usage Change</label>
+                        <div class="input-wrapper">
+                            <input type="number" id="${region}-usage-increase" min="-100" max="500" value="10" step="1">
+                            <span class="input-suffix">%</span>
+                        </div>
+                    </div>
+                    <div class="arrow-connector">
+                        <svg viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
+                            <path d="M5 12h14M12 5l7 7-7 7"/>
+                        </svg>
+                    </div>
+                    <div class="output-group">
+                        <label>Projected Price Change</label>
+                        <div class="output-wrapper">
+                            <span id="${region}-price-projection" class="projection-value">--</span>
+                            <span class="output-suffix">%</span>
+                        </div>
+                        <div class="projected-price">
+                            New Price: <span id="${region}-new-price">--</span>
+                        </div>
+                    </div>
+                </div>
+                <button class="calculate-btn" onclick="calculateProjection('${region}')">
+                    <svg viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
+                        <path d="M9 7h6M9 12h6M9 17h4M4 4h16v16H4z"/>
+                    </svg>
+                    Calculate Projection
+                </button>
+            </div>
+        </section>`;
+}
+
+// One card per region in the detail page, assumptions panel, simulation results and comparison table
+function renderRegionSections(source) {
+    activeRegions = getSourceRegions(source);
+
+    document.getElementById('regions-container').innerHTML = activeRegions
+        .map(region => regionSectionTemplate(source, region))
+        .join('');
+
+    document.getElementById('assumptions-regions').innerHTML = activeRegions.map(region => `
+        <div class="assumptions-region">
+            <div class="assumptions-region-header">
+                <h4>${REGIONS[region]}</h4>
+                <span id="${region}-assumptions-status" class="assumptions-status"></span>
+                <button class="reset-btn" onclick="resetAssumptions('${region}')">Reset</button>
+            </div>
+            <div id="${region}-assumptions" class="projection-options"></div>
+        </div>`).join('');
+
+    document.getElementById('simulation-regions').innerHTML = activeRegions.map(region => `
+        <div class="simulation-result">
+            <h4>${REGIONS[region]}</h4>
+            <div class="simulation-stats" id="${region}-simulation-stats"></div>
+            <div class="simulation-histogram" id="${region}-simulation-histogram"></div>
+        </div>`).join('');
+
+    document.getElementById('comparison-head').innerHTML = '<th scope="col">Model</th>' +
+        activeRegions.map(region => `<th scope="col">${REGIONS[region]}</th>`).join('');
+
+    activeRegions.forEach(region => {
+        document.getElementById(`${region}-model`).addEventListener('change', () => renderModelInputs(region));
+        document.getElementById(`${region}-usage-increase`).addEventListener('keypress', (e) => {
+            if (e.key === 'Enter') {
+                calculateProjection(region);
+            }
+        });
+    });
 }
 
 // ===== API Configuration =====
@@ -238,7 +413,8 @@ async function fetchEnergyData(source) {
     indicator.classList.add('active');
 
     try {
-        const response = await fetch(`${API_BASE_URL}/api/prices/${source}`);
+        const query = selectionParams(source).toString();
+        const response = await fetch(`${API_BASE_URL}/api/prices/${source}${query ? `?${query}` : ''}`);
 
         if (!response.ok) {
             throw new Error(`API error: ${response.status}`);
@@ -246,35 +422,34 @@ async function fetchEnergyData(source) {
 
         const data = await response.json();
 
+        // Ignore responses that arrive after the user moved on
+        if (source !== currentSource) return;
+
         // Store data sources info for summary
         currentDataSources = data.dataSources || [];
-        isUsingFallback = data.isFallback || false;
 
         // Format the data for display
-        const formattedData = {
-            us: {
-                price: data.us.value,
-                date: formatDateForDisplay(data.us.date),
-                source: data.us.source
-            },
-            world: {
-                price: data.world.value,
-                date: formatDateForDisplay(data.world.date),
-                source: data.world.source
-            }
-        };
-
-        // Update units from API response
-        if (data.units) {
-            document.getElementById('us-unit').textContent = data.units.us;
-            document.getElementById('world-unit').textContent = data.units.world;
-        }
+        const formattedData = {};
+        activeRegions.filter(region => data[region]).forEach(region => {
+            formattedData[region] = {
+                price: data[region].value,
+                date: formatDateForDisplay(data[region].date),
+                source: data[region].source,
+                hub: data[region].hub,
+                state: data[region].state,
+                benchmark: data[region].benchmark,
+                estimated: !!data[region].estimated,
+                provenance: data[region].provenance || null,
+                crack: data[region].crack || null
+            };
+        });
 
         // Update UI with fetched data
         updatePriceDisplay(formattedData);
+        activeRegions.forEach(region => renderHubSelector(region, data.hubs && data.hubs[region]));
 
         // Show data source indicator
-        updateDataSourceIndicator(data.dataSources, data.isFallback);
+        updateDataSourceIndicator(formattedData);
 
     } catch (error) {
         console.error('Error fetching data:', error);
@@ -287,7 +462,6 @@ async function fetchEnergyData(source) {
 
 // Track data sources for summary
 let currentDataSources = [];
-let isUsingFallback = false;
 
 // Format date for display
 function formatDateForDisplay(dateStr) {
@@ -304,35 +478,103 @@ function formatDateForDisplay(dateStr) {
     }
 }
 
-// Update data source indicator in UI
-function updateDataSourceIndicator(sources, isFallback) {
-    // Add visual indicator of data source quality
-    const priceCards = document.querySelectorAll('.current-price-card');
-    priceCards.forEach(card => {
+function formatMonthForDisplay(dateStr) {
+    return new Date(dateStr).toLocaleDateString('en-US', { month: 'short', year: 'numeric' });
+}
+
+// ===== Data Provenance =====
+// Each price carries its lineage from the server: provider, series, observation and
+// fetch times, whether it was cached, stale, derived or estimated, and a quality score
+const PROVENANCE_BADGES = {
+    estimated: { background: 'rgba(251, 191, 36, 0.2)', color: '#fbbf24' },
+    stale: { background: 'rgba(59, 130, 246, 0.2)', color: '#3b82f6' },
+    derived: { background: 'rgba(139, 92, 246, 0.2)', color: '#8b5cf6' },
+    live: { background: 'rgba(16, 185, 129, 0.2)', color: '#10b981' }
+};
+
+// Stand-in lineage for prices the client filled in itself
+function estimatedProvenance() {
+    return {
+        provider: 'fallback',
+        providerName: 'Fallback estimates',
+        series: null,
+        label: 'Fallback estimates',
+        observedAt: new Date().toISOString().split('T')[0],
+        fetchedAt: null,
+        cached: false,
+        stale: false,
+        derived: false,
+        derivation: null,
+        estimated: true,
+        age: null,
+        quality: 10
+    };
+}
+
+function formatAge(ms) {
+    const minutes = Math.round(ms / 60000);
+    if (minutes < 1) return 'just now';
+    if (minutes < 60) return `${minutes} min ago`;
+    const hours = Math.round(minutes / 60);
+    if (hours < 48) return `${hours} h ago`;
+    return `${Math.round(hours / 24)} days ago`;
+}
+
+function provenanceState(provenance) {
+    if (provenance.estimated) return { kind: 'estimated', label: 'Estimated' };
+    if (provenance.stale) return { kind: 'stale', label: `Cached: ${provenance.label}` };
+    if (provenance.derived) return { kind: 'derived', label: `Derived: ${provenance.label}` };
+    return { kind: 'live', label: `Live: ${provenance.label}` };
+}
+
+// Tooltip text explaining where a price came from
+function describeProvenance(provenance) {
+    const lines = [];
+    if (provenance.estimated) {
+        lines.push(`Source: ${provenance.label}`);
+        lines.push('Estimated: no provider returned a price, so this is a built-in estimate');
+    } else {
+        lines.push(`Provider: ${provenance.providerName}${provenance.series ? ` (series ${provenance.series})` : ''}`);
+    }
+    lines.push(`Observed: ${formatDateForDisplay(provenance.observedAt)}`);
+    if (provenance.fetchedAt) {
+        const age = provenance.age !== null ? `, ${formatAge(provenance.age)}` : '';
+        lines.push(`Fetched: ${new Date(provenance.fetchedAt).toLocaleString('en-US')}${age}${provenance.cached ? ' (from cache)' : ''}`);
+    }
+    if (provenance.stale) lines.push('Stale: upstream refresh failed; showing the last value fetched');
+    if (provenance.derived) lines.push(`Derived: ${provenance.derivation}`);
+    lines.push(`Quality: ${provenance.quality}/100`);
+    return lines.join('\n');
+}
+
+// Badge on each region's price card, from that region's own provenance
+function updateDataSourceIndicator(data) {
+    Object.keys(data).forEach(region => {
+        const card = document.getElementById(`${region}-price-card`);
+        if (!card) return;
+
         // Remove existing indicators
         const existing = card.querySelector('.data-source-badge');
         if (existing) existing.remove();
 
-        // Add new indicator
+        const provenance = data[region].provenance || estimatedProvenance();
+        const state = provenanceState(provenance);
+        const colors = PROVENANCE_BADGES[state.kind];
+
         const badge = document.createElement('div');
-        badge.className = 'data-source-badge';
+        badge.className = `data-source-badge ${state.kind}`;
         badge.style.cssText = `
             margin-top: 8px;
             padding: 4px 12px;
             border-radius: 12px;
             font-size: 0.7rem;
             display: inline-block;
+            cursor: help;
         `;
-
-        if (isFallback) {
-            badge.style.background = 'rgba(251, 191, 36, 0.2)';
-            badge.style.color = '#fbbf24';
-            badge.textContent = 'Estimated Data';
-        } else {
-            badge.style.background = 'rgba(16, 185, 129, 0.2)';
-            badge.style.color = '#10b981';
-            badge.textContent = `Live: ${sources.join(', ')}`;
-        }
+        badge.style.background = colors.background;
+        badge.style.color = colors.color;
+        badge.textContent = state.label;
+        badge.title = describeProvenance(provenance);
 
         card.appendChild(badge);
     });
@@ -340,43 +582,261 @@ function updateDataSourceIndicator(sources, isFallback) {
 
 // Update price display
 function updatePriceDisplay(data) {
-    currentData = {
-        us: { price: data.us.price, date: data.us.date, source: data.us.source },
-        world: { price: data.world.price, date: data.world.date, source: data.world.source }
-    };
+    currentData = {};
+
+    Object.keys(data).forEach(region => {
+        const quote = data[region];
+        currentData[region] = {
+            price: quote.price,
+            date: quote.date,
+            source: quote.source,
+            hub: quote.hub,
+            state: quote.state,
+            benchmark: quote.benchmark,
+            estimated: !!quote.estimated,
+            provenance: quote.provenance || null,
+            crack: quote.crack || null
+        };
+
+        // Quotes stay in USD per native unit; only the display is converted
+        const conversion = priceConversion(currentSource, region);
+        document.getElementById(`${region}-currency`).textContent = conversion.symbol;
+        document.getElementById(`${region}-price`).textContent = formatPrice(quote.price * conversion.factor);
+        document.getElementById(`${region}-unit`).textContent = conversion.unit;
+        document.getElementById(`${region}-price-date`).textContent = quote.benchmark
+            ? `${quote.benchmark}, as of ${quote.date}`
+            : `As of ${quote.date}`;
+        renderCrackSpread(region, quote.crack);
+    });
+}
+
+// Spread of a refined product over its crude, per barrel in the display currency:
+// a crack spread for spot prices, a retail margin for pump prices
+function renderCrackSpread(region, crack) {
+    const el = document.getElementById(`${region}-crack`);
+    if (!crack) {
+        el.style.display = 'none';
+        return;
+    }
+
+    const conversion = nativeConversion('oil', 'us');
+    const retail = crack.kind === 'retail-margin';
+    el.textContent = `${retail ? 'Retail margin over' : 'Crack spread vs'} ${crack.crude}: ` +
+        `${formatMoney(crack.spread, conversion)}/barrel` + (crack.estimated ? ' (estimated)' : '');
+    el.title = `${formatMoney(crack.productPerBarrel, conversion)}/barrel of product less ` +
+        `${crack.crude} at ${formatMoney(crack.crudePrice, conversion)}/barrel` +
+        (retail ? '; includes refining, distribution, marketing and taxes' : '');
+    el.style.display = '';
+}
+
+// ===== Benchmark Hubs =====
+// Regions with several benchmarks (e.g. TTF and JKM for World gas, or the retail
+// electricity sectors) let their card pick one; retail electricity also picks a state
+const HUBS_STORAGE_KEY = 'energyProjections.hubs';
+const STATES_STORAGE_KEY = 'energyProjections.states';
+// Hubs were first offered for World gas only and stored under this key
+const LEGACY_HUBS_STORAGE_KEY = 'energyProjections.worldHubs';
+
+function loadSelection(key) {
+    try {
+        return JSON.parse(localStorage.getItem(key)) || {};
+    } catch (error) {
+        console.error('Failed to read hub selection:', error);
+        return {};
+    }
+}
+
+// Move a selection saved under the legacy key to the current one
+function migrateHubSelection() {
+    try {
+        const legacy = localStorage.getItem(LEGACY_HUBS_STORAGE_KEY);
+        if (legacy === null) return;
+        if (localStorage.getItem(HUBS_STORAGE_KEY) === null) {
+            localStorage.setItem(HUBS_STORAGE_KEY, legacy);
+        }
+        localStorage.removeItem(LEGACY_HUBS_STORAGE_KEY);
+    } catch (error) {
+        console.error('Failed to migrate hub selection:', error);
+    }
+}
+
+function saveSelection(key, selection) {
+    try {
+        localStorage.setItem(key, JSON.stringify(selection));
+    } catch (error) {
+        console.error('Failed to save hub selection:', error);
+    }
+}
+
+migrateHubSelection();
+let selectedHubs = loadSelection(HUBS_STORAGE_KEY);
+let selectedStates = loadSelection(STATES_STORAGE_KEY);
+
+// Query parameters for a source's chosen hub and state
+function selectionParams(source) {
+    const params = new URLSearchParams();
+    if (selectedHubs[source]) params.set('hub', selectedHubs[source]);
+    if (selectedStates[source]) params.set('state', selectedStates[source]);
+    return params;
+}
+
+function renderSelect(select, choices) {
+    if (!choices) {
+        select.style.display = 'none';
+        select.innerHTML = '';
+        return;
+    }
+
+    select.innerHTML = choices.options
+        .map(option => `<option value="${option.id}">${option.name}</option>`)
+        .join('');
+    select.value = choices.selected;
+    select.style.display = '';
+}
+
+function renderHubSelector(region, hubs) {
+    renderSelect(document.getElementById(`${region}-hub`), hubs);
+    renderSelect(document.getElementById(`${region}-state`), hubs && hubs.states);
+}
+
+function selectHub(region, hub) {
+    if (!currentSource) return;
+
+    selectedHubs[currentSource] = hub;
+    saveSelection(HUBS_STORAGE_KEY, selectedHubs);
+    reloadRegionSelection(region);
+}
+
+function selectState(region, state) {
+    if (!currentSource) return;
+
+    selectedStates[currentSource] = state;
+    saveSelection(STATES_STORAGE_KEY, selectedStates);
+    reloadRegionSelection(region);
+}
+
+function reloadRegionSelection(region) {
+    // A projection against the previous hub or state no longer matches the card
+    document.getElementById(`${region}-price-projection`).textContent = '--';
+    document.getElementById(`${region}-new-price`).textContent = '--';
+    latestProjection[region] = null;
+    chartState.projection[region] = null;
+    chartState.bands[region] = null;
+
+    fetchEnergyData(currentSource);
+    loadPriceHistory(currentSource, region);
+    loadTrendHistory(currentSource, region);
+}
+
+// ===== Price Bases & Fuel Cost =====
+// Nuclear can be projected on all-in generation cost or on fuel (uranium); each basis
+// is its own source, and the selector switches the page between them
+function renderPriceBases(source) {
+    const bases = getPriceBases(source);
+    document.getElementById('price-basis-group').style.display = bases.length > 1 ? '' : 'none';
+    document.getElementById('price-basis').innerHTML = bases
+        .map(id => `<option value="${id}"${id === source ? ' selected' : ''}>${CONFIG.sources[id].basisLabel}</option>`)
+        .join('');
+}
+
+function selectPriceBasis(source) {
+    if (source !== currentSource && CONFIG.sources[source]) {
+        navigateToSource(source);
+    }
+}
+
+// Latest fuel price for a source that defines one: { source, region, quote }
+let fuelQuote = null;
+
+async function loadFuelCost(source) {
+    const fuel = CONFIG.sources[source].fuel;
+    const container = document.getElementById('fuel-cost');
+    fuelQuote = null;
+    if (!fuel) {
+        container.style.display = 'none';
+        container.innerHTML = '';
+        return;
+    }
 
-    // US prices
-    document.getElementById('us-price').textContent = formatPrice(data.us.price);
-    document.getElementById('us-price-date').textContent = `As of ${data.us.date}`;
+    container.style.display = '';
+    container.innerHTML = '<span class="fuel-cost-label">Loading fuel cost...</span>';
+    const region = CONFIG.sources[fuel.source].regions[0];
+
+    try {
+        const response = await fetch(`${API_BASE_URL}/api/prices/${fuel.source}`);
+        if (!response.ok) {
+            throw new Error(`API error: ${response.status}`);
+        }
+        const data = await response.json();
+        if (source !== currentSource) return;
+        fuelQuote = { source: fuel.source, region, quote: data[region] };
+    } catch (error) {
+        console.error('Error fetching fuel cost:', error);
+        if (source !== currentSource) return;
+        fuelQuote = {
+            source: fuel.source,
+            region,
+            quote: {
+                value: CONFIG.sources[fuel.source].fallbackPrices[region],
+                date: new Date().toISOString().split('T')[0],
+                estimated: true,
+                provenance: estimatedProvenance()
+            }
+        };
+    }
+    renderFuelCost();
+}
 
-    // World prices
-    document.getElementById('world-price').textContent = formatPrice(data.world.price);
-    document.getElementById('world-price-date').textContent = `As of ${data.world.date}`;
+function renderFuelCost() {
+    if (!fuelQuote || !currentSource || !CONFIG.sources[currentSource].fuel) return;
+
+    const { source, region, quote } = fuelQuote;
+    const conversion = priceConversion(source, region);
+    // Fuel burned per MWh, shown in the same currency and unit as the generation cost
+    const generation = priceConversion(currentSource, activeRegions[0]);
+    const perMWh = quote.value * CONFIG.sources[currentSource].fuel.unitsPerMWh;
+    const provenance = quote.provenance || estimatedProvenance();
+    const state = provenanceState(provenance);
+
+    document.getElementById('fuel-cost').innerHTML = `
+        <div class="fuel-cost-main">
+            <span class="fuel-cost-label">${CONFIG.sources[source].fullName}</span>
+            <span class="fuel-cost-value">${formatMoney(quote.value, conversion)}<small>${conversion.unit}</small></span>
+            <span class="fuel-cost-date">As of ${formatDateForDisplay(quote.date)}</span>
+        </div>
+        <div class="fuel-cost-share">
+            About ${formatMoney(perMWh, generation)}<small>${generation.unit}</small> of the generation cost (raw uranium only)
+        </div>
+        <span class="fuel-cost-status ${state.kind}" title="${escapeHTML(describeProvenance(provenance))}">${escapeHTML(state.label)}</span>
+        <button class="range-btn" onclick="selectPriceBasis('${source}')">Project fuel cost</button>`;
 }
 
 // Fallback data for when API is unavailable
 function updateWithFallbackData(source) {
-    const fallbackPrices = {
-        oil: { us: 74.50, world: 78.80 },
-        'natural-gas': { us: 3.15, world: 12.40 },
-        nuclear: { us: 31.00, world: 35.00 },
-        solar: { us: 28.00, world: 32.00 },
-        renewables: { us: 31.00, world: 36.00 },
-        coal: { us: 140.00, world: 120.00 }
-    };
-
-    const prices = fallbackPrices[source] || fallbackPrices.oil;
+    const sourceId = CONFIG.sources[source] ? source : 'oil';
     const now = new Date().toLocaleDateString('en-US', {
         month: 'short', day: 'numeric', year: 'numeric'
     });
 
-    const fallbackData = {
-        us: { price: prices.us, date: now, source: 'Fallback' },
-        world: { price: prices.world, date: now, source: 'Fallback' }
-    };
+    const crude = CONFIG.sources[sourceId].crude;
+    const fallbackData = {};
+    activeRegions.forEach(region => {
+        const price = getFallbackPrice(sourceId, region, selectedHubs[source]);
+        const crack = crude
+            ? getCrackSpread(sourceId, price, getFallbackPrice(crude.source, crude.region), selectedHubs[source])
+            : null;
+        fallbackData[region] = {
+            price,
+            date: now,
+            source: 'Fallback',
+            estimated: true,
+            provenance: estimatedProvenance(),
+            crack: crack && { ...crack, estimated: true }
+        };
+    });
 
     updatePriceDisplay(fallbackData);
-    updateDataSourceIndicator(['Fallback estimates'], true);
+    updateDataSourceIndicator(fallbackData);
 }
 
 function formatPrice(price) {
@@ -389,157 +849,1765 @@ function formatPrice(price) {
     }
 }
 
-// ===== Projection Calculations =====
-function calculateProjection(region) {
-    if (!currentSource) {
-        alert('Please select an energy source first.');
-        return;
-    }
+// ===== Display Currency & Units =====
+// Prices, projections and simulations are all held in USD per native unit;
+// the chosen currency and energy unit are applied only when a price is shown
+const DISPLAY_STORAGE_KEY = 'energyProjections.display';
 
-    if (!currentData || !currentData[region] || !currentData[region].price) {
-        alert('Please wait for price data to load.');
-        return;
+function loadDisplaySettings() {
+    try {
+        return { unit: 'native', currency: 'USD', ...JSON.parse(localStorage.getItem(DISPLAY_STORAGE_KEY)) };
+    } catch (error) {
+        console.error('Failed to read display settings:', error);
+        return { unit: 'native', currency: 'USD' };
     }
+}
 
-    const sourceConfig = CONFIG.sources[currentSource];
-    const usageIncrease = parseFloat(document.getElementById(`${region}-usage-increase`).value) || 0;
-    const currentPrice = parseFloat(currentData[region].price);
+let displaySettings = loadDisplaySettings();
 
-    // Calculate price increase using price elasticity model
-    // Price increase = Usage increase * (1 / elasticity) * supply constraint factor
-    const elasticity = sourceConfig.elasticity;
-    const supplyConstraintFactor = getSupplyConstraintFactor(currentSource);
+// Units of each currency per USD; replaced by FRED rates once /api/fx answers
+let exchangeRates = { rates: { ...FALLBACK_FX_RATES }, dates: {}, source: 'Fallback estimates', isFallback: true };
 
-    // Formula: % price change = (% demand change) / elasticity * supply factor
-    const priceIncrease = (usageIncrease / 100) * (1 / elasticity) * supplyConstraintFactor * 100;
+function priceConversion(source, region) {
+    return getPriceConversion(source, region, {
+        unit: displaySettings.unit,
+        currency: displaySettings.currency,
+        rates: exchangeRates.rates
+    });
+}
 
-    // Calculate new price
-    const newPrice = currentPrice * (1 + priceIncrease / 100);
+// Currency only, for quantities fixed in native units (consumption, per-barrel spreads)
+function nativeConversion(source, region) {
+    return getPriceConversion(source, region, {
+        currency: displaySettings.currency,
+        rates: exchangeRates.rates
+    });
+}
 
-    // Update display with proper sign and color
-    const projectionEl = document.getElementById(`${region}-price-projection`);
-    const sign = priceIncrease >= 0 ? '+' : '';
-    projectionEl.textContent = `${sign}${priceIncrease.toFixed(1)}`;
+// A USD price per native unit in the display currency and unit, e.g. "€2.71"
+function formatMoney(value, conversion) {
+    return `${conversion.symbol}${formatPrice(value * conversion.factor)}`;
+}
 
-    // Update colors based on increase/decrease
-    const outputWrapper = projectionEl.closest('.output-wrapper');
-    const outputSuffix = outputWrapper.querySelector('.output-suffix');
-    if (priceIncrease >= 0) {
-        outputWrapper.style.background = 'rgba(239, 68, 68, 0.1)';
-        outputWrapper.style.borderColor = 'rgba(239, 68, 68, 0.3)';
-        projectionEl.style.color = '#ef4444';
-        outputSuffix.style.background = 'rgba(239, 68, 68, 0.15)';
-        outputSuffix.style.color = '#ef4444';
-    } else {
-        outputWrapper.style.background = 'rgba(16, 185, 129, 0.1)';
-        outputWrapper.style.borderColor = 'rgba(16, 185, 129, 0.3)';
-        projectionEl.style.color = '#10b981';
-        outputSuffix.style.background = 'rgba(16, 185, 129, 0.15)';
-        outputSuffix.style.color = '#10b981';
+function describeConversion(nativeUnit, conversion) {
+    const unitNote = conversion.unit === nativeUnit ? '' : `, converted from $${nativeUnit}`;
+    if (conversion.currency === 'USD') return `USD${unitNote}`;
+
+    const rate = exchangeRates.rates[conversion.currency];
+    const date = exchangeRates.dates[conversion.currency];
+    const rateSource = exchangeRates.isFallback ? 'estimated rate' : `${exchangeRates.source}${date ? ` ${date}` : ''}`;
+    return `${conversion.currency} at ${rate.toFixed(4)} per USD (${rateSource})${unitNote}`;
+}
+
+function renderDisplaySettings() {
+    const currencySelect = document.getElementById('display-currency');
+    const unitSelect = document.getElementById('display-unit');
+
+    currencySelect.innerHTML = Object.keys(CURRENCIES)
+        .map(code => `<option value="${code}">${code} (${CURRENCIES[code].symbol})</option>`)
+        .join('');
+    currencySelect.value = displaySettings.currency;
+
+    unitSelect.innerHTML = Object.keys(DISPLAY_UNITS)
+        .map(id => `<option value="${id}">${DISPLAY_UNITS[id].label}</option>`)
+        .join('');
+    unitSelect.value = displaySettings.unit;
+
+    const note = document.getElementById('fx-note');
+    note.textContent = displaySettings.currency === 'USD'
+        ? ''
+        : `1 USD = ${exchangeRates.rates[displaySettings.currency].toFixed(4)} ${displaySettings.currency}` +
+          (exchangeRates.isFallback ? ' (estimated)' : ` (${exchangeRates.source})`);
+}
+
+function updateDisplaySettings(changes) {
+    displaySettings = { ...displaySettings, ...changes };
+    try {
+        localStorage.setItem(DISPLAY_STORAGE_KEY, JSON.stringify(displaySettings));
+    } catch (error) {
+        console.error('Failed to save display settings:', error);
     }
+    renderDisplaySettings();
+    refreshDisplayedPrices();
+}
 
-    const priceChangeSign = newPrice >= currentPrice ? '+' : '-';
-    const priceChange = Math.abs(newPrice - currentPrice);
-    document.getElementById(`${region}-new-price`).textContent = `$${formatPrice(newPrice)} (${priceChangeSign}$${formatPrice(priceChange)})`;
+function setDisplayCurrency(currency) {
+    updateDisplaySettings({ currency });
+}
 
-    // Store in history for summary
-    const projectionData = {
-        region: region === 'us' ? 'United States' : 'World',
-        source: sourceConfig.fullName,
-        currentPrice: currentPrice,
-        usageIncrease: usageIncrease,
-        priceIncrease: priceIncrease,
-        newPrice: newPrice,
-        timestamp: new Date().toISOString(),
-        unit: region === 'us' ? sourceConfig.usUnit : sourceConfig.worldUnit,
-        dataSources: currentDataSources,
-        isLiveData: !isUsingFallback,
-        priceSource: currentData[region].source
-    };
+function setDisplayUnit(unit) {
+    updateDisplaySettings({ unit });
+}
 
-    projectionHistory.push(projectionData);
+async function loadExchangeRates() {
+    try {
+        const response = await fetch(`${API_BASE_URL}/api/fx`);
+        if (!response.ok) {
+            throw new Error(`API error: ${response.status}`);
+        }
+        exchangeRates = await response.json();
+    } catch (error) {
+        console.error('Error fetching exchange rates:', error);
+    }
+    renderDisplaySettings();
+    refreshDisplayedPrices();
+}
 
-    // Generate and show summary
-    generateSummary(projectionData);
+// Redraw every price on the page in the current display currency and unit
+function refreshDisplayedPrices() {
+    renderScenarios();
+    renderDashboard();
+    renderPortfolio();
+    if (!currentSource) return;
+
+    updatePriceDisplay(currentData);
+    renderFuelCost();
+    activeRegions.forEach(region => {
+        if (latestProjection[region]) renderProjectionOutput(region, latestProjection[region]);
+        if (simulationResults[region]) renderSimulationResult(region, simulationResults[region]);
+        if (forwardCurves[region]) renderCurveStructure(region);
+        if (chartState.series[region] && chartState.series[region].length > 0) renderPriceChart(region);
+    });
+    renderModelComparison();
+    renderLinkedResults();
+
+    if (currentSummaryData) {
+        generateSummary(currentSummaryData, false);
+    }
 }
 
-function getSupplyConstraintFactor(source) {
-    // Supply constraint factors based on current market conditions
-    const factors = {
-        oil: 1.2,           // Moderate supply constraints (OPEC+ cuts)
-        'natural-gas': 1.1, // Some infrastructure constraints
-        nuclear: 0.8,       // Stable supply, long-term contracts
-        solar: 0.6,         // Rapidly expanding supply
-        renewables: 0.7,    // Good supply growth
-        coal: 1.0           // Stable but declining market
-    };
+// ===== Landing Dashboard =====
+// US and World prices for every source on the landing cards, with recent moves and data status
+const DASHBOARD_REGIONS = ['us', 'world'];
+const DASHBOARD_REGION_LABELS = { us: 'US', world: 'World' };
+
+let dashboardData = null;
+let dashboardSort = 'default';
 
-    return factors[source] || 1.0;
+async function loadDashboard() {
+    try {
+        const response = await fetch(`${API_BASE_URL}/api/dashboard`);
+        if (!response.ok) {
+            throw new Error(`API error: ${response.status}`);
+        }
+        dashboardData = await response.json();
+    } catch (error) {
+        console.error('Error fetching dashboard:', error);
+    }
+    renderDashboard();
 }
 
-// ===== Summary Generation =====
-function generateSummary(data) {
-    const summarySection = document.getElementById('summary-section');
-    const summaryContent = document.getElementById('summary-content');
+// Native units differ between sources, so the dashboard always shows a cost per unit of energy
+function dashboardUnit() {
+    return displaySettings.unit === 'native' ? 'mmbtu' : displaySettings.unit;
+}
 
-    const timestamp = new Date(data.timestamp);
-    const formattedDate = timestamp.toLocaleDateString('en-US', {
-        weekday: 'long',
-        year: 'numeric',
-        month: 'long',
-        day: 'numeric'
-    });
-    const formattedTime = timestamp.toLocaleTimeString('en-US', {
-        hour: '2-digit',
-        minute: '2-digit',
-        second: '2-digit',
-        timeZoneName: 'short'
+function dashboardConversion(source, region) {
+    return getPriceConversion(source, region, {
+        unit: dashboardUnit(),
+        currency: displaySettings.currency,
+        rates: exchangeRates.rates
     });
+}
 
-    const summaryText = `
-ENERGY PRICE PROJECTION SUMMARY
-================================================
+function formatChange(change, label) {
+    if (change === null || change === undefined) {
+        return `<span class="card-stat-change">-- ${label}</span>`;
+    }
+    const direction = change >= 0 ? 'increase' : 'decrease';
+    return `<span class="card-stat-change ${direction}">${change >= 0 ? '+' : ''}${change.toFixed(1)}% ${label}</span>`;
+}
 
-Report Generated
-  Date: ${formattedDate}
-  Time: ${formattedTime}
+// Dashboard regions a source has quotes for (US-only sources have no World quote)
+function dashboardRegions(entry) {
+    return DASHBOARD_REGIONS.filter(region => entry.regions[region]);
+}
 
-Energy Source: ${data.source}
-Region: ${data.region}
+function dashboardStatus(entry) {
+    const regions = dashboardRegions(entry).map(region => entry.regions[region]);
+    if (regions.every(r => r.estimated)) return { className: 'estimated', label: 'Estimated' };
+    if (entry.stale) return { className: 'cached', label: 'Cached' };
+    if (regions.some(r => r.estimated)) return { className: 'partial', label: 'Partly estimated' };
+    return { className: 'live', label: 'Live' };
+}
 
-CURRENT MARKET DATA
-------------------------------------------------
-Current Price: $${formatPrice(data.currentPrice)}${data.unit}
+function renderDashboard() {
+    if (!dashboardData) return;
 
-PROJECTION ANALYSIS
-------------------------------------------------
-Usage Change:    ${data.usageIncrease >= 0 ? '+' : ''}${data.usageIncrease.toFixed(1)}%
-Price Impact:    ${data.priceIncrease >= 0 ? '+' : ''}${data.priceIncrease.toFixed(1)}%
-New Price:       $${formatPrice(data.newPrice)}${data.unit}
-Price Change:    ${data.newPrice >= data.currentPrice ? '+' : '-'}$${formatPrice(Math.abs(data.newPrice - data.currentPrice))}${data.unit}
+    dashboardData.sources.forEach(entry => {
+        const card = document.querySelector(`.energy-card[data-source="${entry.source}"]`);
+        if (!card) return;
 
-DATA SOURCE STATUS
-------------------------------------------------
-Data Type:     ${data.isLiveData ? 'LIVE DATA' : 'ESTIMATED DATA'}
-Price Source:  ${data.priceSource || 'Multiple sources'}
-APIs Queried:  ${data.dataSources && data.dataSources.length > 0 ? data.dataSources.join(', ') : 'Fallback'}
+        let stats = card.querySelector('.card-stats');
+        if (!stats) {
+            stats = document.createElement('span');
+            stats.className = 'card-stats';
+            card.appendChild(stats);
+        }
 
-REFERENCE SOURCES
-------------------------------------------------
-* EIA - U.S. Energy Information Administration
-  eia.gov/outlooks/steo/realprices/
+        const rows = dashboardRegions(entry).map(region => {
+            const quote = entry.regions[region];
+            const conversion = dashboardConversion(entry.source, region);
+            return `
+                <span class="card-stat${quote.estimated ? ' estimated' : ''}" title="${escapeHTML(quote.source)}">
+                    <span class="card-stat-region">${DASHBOARD_REGION_LABELS[region]}</span>
+                    <span class="card-stat-price">${formatMoney(quote.value, conversion)}<small>${conversion.unit}</small></span>
+                    ${formatChange(quote.dayChange, '1D')}
+                    ${formatChange(quote.weekChange, '1W')}
+                </span>`;
+        }).join('');
+
+        const status = dashboardStatus(entry);
+        const observed = dashboardRegions(entry)
+            .map(region => entry.regions[region])
+            .filter(quote => !quote.estimated)
+            .map(quote => quote.date)
+            .sort()
+            .pop();
+
+        stats.innerHTML = `${rows}
+            <span class="card-stat-footer">
+                <span class="card-status ${status.className}">${status.label}</span>
+                <span class="card-freshness">${observed ? `As of ${formatDateForDisplay(observed)}` : 'No live data'}</span>
+            </span>`;
+    });
 
-* FRED - Federal Reserve Economic Data
-  fred.stlouisfed.org
+    sortDashboard();
+}
 
-* Our World in Data
-  ourworldindata.org/energy
+function setDashboardSort(sort) {
+    dashboardSort = sort;
+    sortDashboard();
+}
 
-* Yahoo Finance
-  finance.yahoo.com/commodities/
+// Reorder the cards; sources without a value for the chosen key go last
+function sortDashboard() {
+    const grid = document.querySelector('.energy-grid');
+    if (!grid || !dashboardData) return;
 
-DISCLAIMER
-------------------------------------------------
+    const entries = {};
+    dashboardData.sources.forEach(entry => {
+        entries[entry.source] = entry;
+    });
+    const order = Object.keys(CONFIG.sources);
+
+    // The US quote leads, with World standing in when the US one is only an estimate
+    const headline = source => {
+        const entry = entries[source];
+        if (!entry) return null;
+        const { us, world } = entry.regions;
+        return us.estimated && world && !world.estimated ? 'world' : 'us';
+    };
+    const sortValue = source => {
+        const region = headline(source);
+        if (!region) return null;
+        const quote = entries[source].regions[region];
+        switch (dashboardSort) {
+            case 'price-asc':
+            case 'price-desc':
+                return quote.value * dashboardConversion(source, region).factor;
+            case 'day-change':
+                return quote.dayChange;
+            case 'week-change':
+                return quote.weekChange;
+            default:
+                return null;
+        }
+    };
+
+    const cards = Array.from(grid.querySelectorAll('.energy-card'));
+    cards.sort((a, b) => {
+        const sourceA = a.dataset.source;
+        const sourceB = b.dataset.source;
+        const valueA = sortValue(sourceA);
+        const valueB = sortValue(sourceB);
+
+        if (dashboardSort !== 'default' && valueA !== valueB) {
+            if (valueA === null || valueA === undefined) return 1;
+            if (valueB === null || valueB === undefined) return -1;
+            return dashboardSort === 'price-asc' ? valueA - valueB : valueB - valueA;
+        }
+        return order.indexOf(sourceA) - order.indexOf(sourceB);
+    });
+    cards.forEach(card => grid.appendChild(card));
+
+    document.getElementById('dashboard-note').textContent =
+        `Prices in ${displaySettings.currency} ${DISPLAY_UNITS[dashboardUnit()].label}`;
+}
+
+// ===== Price History Chart =====
+// Range presets: how far back to look and which frequency keeps the series readable
+const CHART_RANGES = {
+    '1M': { months: 1, frequency: 'daily' },
+    '6M': { months: 6, frequency: 'daily' },
+    '1Y': { months: 12, frequency: 'daily' },
+    '5Y': { months: 60, frequency: 'weekly' },
+    MAX: { months: null, frequency: 'monthly' }
+};
+
+const CHART_WIDTH = 600;
+const CHART_HEIGHT = 220;
+const CHART_PADDING = { top: 16, right: 16, bottom: 28, left: 52 };
+
+// Per-region chart state, keyed by region id
+let chartState = {
+    range: {},
+    series: {},
+    projection: {},
+    bands: {}
+};
+const historyCache = {};
+// Observations the trend model is fitted to, by region: the server's window rather than
+// whatever range the chart shows
+let trendHistory = {};
+
+function resetCharts() {
+    chartState = {
+        range: {},
+        series: {},
+        projection: {},
+        bands: {}
+    };
+    trendHistory = {};
+    activeRegions.forEach(region => {
+        chartState.range[region] = CONFIG.sources[currentSource].chartRange || '1Y';
+        chartState.series[region] = [];
+        updateRangeButtons(region);
+        showChartMessage(region, 'Loading history...');
+    });
+}
+
+function setChartRange(region, range) {
+    if (!CHART_RANGES[range] || !currentSource) return;
+    chartState.range[region] = range;
+    updateRangeButtons(region);
+    loadPriceHistory(currentSource, region);
+}
+
+function updateRangeButtons(region) {
+    document.querySelectorAll(`#${region}-chart .range-btn`).forEach(btn => {
+        btn.classList.toggle('active', btn.dataset.range === chartState.range[region]);
+    });
+}
+
+// range: a CHART_RANGES key, or another name for the window given as preset
+async function fetchPriceHistory(source, range, preset = CHART_RANGES[range]) {
+    const selection = selectionParams(source);
+    const cacheKey = `${source}_${range}_${selection}`;
+    // Regions of one source share a response, so cache the request rather than its result
+    if (!historyCache[cacheKey]) {
+        historyCache[cacheKey] = requestPriceHistory(source, preset, selection).catch(error => {
+            delete historyCache[cacheKey];
+            throw error;
+        });
+    }
+    return historyCache[cacheKey];
+}
+
+// preset: { months, frequency } (months null for the full history);
+// selection: hub and state parameters from selectionParams
+async function requestPriceHistory(source, preset, selection) {
+    const to = new Date();
+    // Oldest series the upstream APIs publish (EIA WTI spot starts in 1986)
+    const from = preset.months ? new Date(to) : new Date('1986-01-01');
+    if (preset.months) from.setMonth(from.getMonth() - preset.months);
+
+    const params = new URLSearchParams({
+        from: from.toISOString().split('T')[0],
+        to: to.toISOString().split('T')[0],
+        frequency: preset.frequency
+    });
+    selection.forEach((value, key) => params.set(key, value));
+
+    const response = await fetch(`${API_BASE_URL}/api/history/${source}?${params}`);
+    if (!response.ok) {
+        throw new Error(`API error: ${response.status}`);
+    }
+
+    return response.json();
+}
+
+async function loadPriceHistory(source, region) {
+    const range = chartState.range[region];
+    showChartMessage(region, 'Loading history...');
+
+    try {
+        const data = await fetchPriceHistory(source, range);
+
+        // Ignore responses that arrive after the user moved on
+        if (source !== currentSource || range !== chartState.range[region]) return;
+
+        chartState.series[region] = data[region] || [];
+        renderPriceChart(region);
+    } catch (error) {
+        console.error('Error fetching history:', error);
+        if (source === currentSource) {
+            showChartMessage(region, 'Price history unavailable');
+        }
+    }
+}
+
+async function loadTrendHistory(source, region) {
+    trendHistory[region] = null;
+    try {
+        const data = await fetchPriceHistory(source, 'trend', TREND_HISTORY_WINDOW);
+        if (source === currentSource) trendHistory[region] = data[region] || [];
+    } catch (error) {
+        console.error('Error fetching trend history:', error);
+    }
+}
+
+function showChartMessage(region, message) {
+    const canvas = document.getElementById(`${region}-chart-canvas`);
+    if (canvas) {
+        canvas.innerHTML = `<div class="chart-message">${message}</div>`;
+    }
+    hideChartTooltip(region);
+}
+
+function renderPriceChart(region) {
+    const canvas = document.getElementById(`${region}-chart-canvas`);
+    if (!canvas) return;
+
+    const history = chartState.series[region];
+    const projectionPath = chartState.projection[region] || [];
+    const curve = forwardCurves[region] ? forwardCurves[region].points : [];
+
+    if (!history || history.length === 0) {
+        showChartMessage(region, 'No price history available');
+        return;
+    }
+
+    // History, the projected path and the forward curve share one time axis
+    const points = history
+        .map(p => ({ date: p.date, value: p.value, projected: false }))
+        .concat(projectionPath.map(p => ({ date: p.date, value: p.price, projected: true })))
+        .concat(curve.map(p => ({ date: deliveryDate(p.month), value: p.value, forward: true })))
+        .map(p => ({ ...p, time: new Date(p.date).getTime() }))
+        .sort((a, b) => a.time - b.time);
+
+    const bands = (chartState.bands[region] || []).map(b => ({ ...b, time: new Date(b.date).getTime() }));
+
+    const values = points.map(p => p.value);
+    bands.forEach(b => values.push(b.p10, b.p90));
+    let minValue = Math.min(...values);
+    let maxValue = Math.max(...values);
+    if (minValue === maxValue) {
+        minValue -= 1;
+        maxValue += 1;
+    }
+    const margin = (maxValue - minValue) * 0.1;
+    minValue -= margin;
+    maxValue += margin;
+
+    let minTime = points[0].time;
+    let maxTime = points[points.length - 1].time;
+    if (minTime === maxTime) {
+        minTime -= 86400000;
+        maxTime += 86400000;
+    }
+
+    const plotWidth = CHART_WIDTH - CHART_PADDING.left - CHART_PADDING.right;
+    const plotHeight = CHART_HEIGHT - CHART_PADDING.top - CHART_PADDING.bottom;
+    const xFor = t => CHART_PADDING.left + ((t - minTime) / (maxTime - minTime)) * plotWidth;
+    const yFor = v => CHART_PADDING.top + (1 - (v - minValue) / (maxValue - minValue)) * plotHeight;
+
+    // Horizontal grid lines with price labels
+    const conversion = priceConversion(currentSource, region);
+    let grid = '';
+    for (let i = 0; i <= 4; i++) {
+        const value = minValue + ((maxValue - minValue) * i) / 4;
+        const y = yFor(value);
+        grid += `<line class="chart-grid-line" x1="${CHART_PADDING.left}" y1="${y}" x2="${CHART_WIDTH - CHART_PADDING.right}" y2="${y}"/>`;
+        grid += `<text class="chart-axis-label" x="${CHART_PADDING.left - 8}" y="${y + 4}" text-anchor="end">${formatMoney(value, conversion)}</text>`;
+    }
+
+    // First and last dates along the bottom
+    const baseline = CHART_HEIGHT - 8;
+    grid += `<text class="chart-axis-label" x="${CHART_PADDING.left}" y="${baseline}" text-anchor="start">${formatDateForDisplay(points[0].date)}</text>`;
+    if (points.length > 1) {
+        grid += `<text class="chart-axis-label" x="${CHART_WIDTH - CHART_PADDING.right}" y="${baseline}" text-anchor="end">${formatDateForDisplay(points[points.length - 1].date)}</text>`;
+    }
+
+    const toPath = list => list.map((p, i) => `${i === 0 ? 'M' : 'L'}${xFor(p.time).toFixed(1)},${yFor(p.value).toFixed(1)}`).join(' ');
+    const historyPoints = points.filter(p => !p.projected && !p.forward);
+    const linePath = toPath(historyPoints);
+    const bottom = CHART_PADDING.top + plotHeight;
+    const firstX = xFor(historyPoints[0].time).toFixed(1);
+    const lastX = xFor(historyPoints[historyPoints.length - 1].time).toFixed(1);
+    const areaPath = `${linePath} L${lastX},${bottom} L${firstX},${bottom} Z`;
+
+    // Simulated P10-P90 range behind the projected path
+    let band = '';
+    if (bands.length > 0) {
+        const upper = bands.map(b => `${xFor(b.time).toFixed(1)},${yFor(b.p90).toFixed(1)}`);
+        const lower = bands.slice().reverse().map(b => `${xFor(b.time).toFixed(1)},${yFor(b.p10).toFixed(1)}`);
+        band = `<polygon class="chart-band" points="${upper.concat(lower).join(' ')}"/>`;
+    }
+
+    let projection = '';
+    if (projectionPath.length > 0) {
+        // Join the projected path onto the last observed price
+        const lastObserved = historyPoints[historyPoints.length - 1];
+        const projectedPoints = [lastObserved].concat(points.filter(p => p.projected));
+        const finalPoint = projectedPoints[projectedPoints.length - 1];
+        const direction = finalPoint.value < lastObserved.value ? ' decrease' : '';
+        const labelY = yFor(finalPoint.value) - 6;
+        projection = `
+            <path class="chart-projection-line${direction}" fill="none" d="${toPath(projectedPoints)}"/>
+            <text class="chart-projection-label${direction}" x="${CHART_WIDTH - CHART_PADDING.right}" y="${labelY}" text-anchor="end">Projected ${formatMoney(finalPoint.value, conversion)}</text>`;
+    }
+
+    let forward = '';
+    const forwardPoints = points.filter(p => p.forward);
+    if (forwardPoints.length > 0) {
+        const lastContract = forwardPoints[forwardPoints.length - 1];
+        forward = `
+            <path class="chart-forward-line" fill="none" d="${toPath(forwardPoints)}"/>
+            <text class="chart-forward-label" x="${xFor(lastContract.time).toFixed(1)}" y="${yFor(lastContract.value) + 14}" text-anchor="end">Futures ${formatMoney(lastContract.value, conversion)}</text>`;
+    }
+
+    canvas.innerHTML = `
+        <svg viewBox="0 0 ${CHART_WIDTH} ${CHART_HEIGHT}" role="img" aria-label="Price history">
+            ${grid}
+            <path class="chart-area" d="${areaPath}"/>
+            <path class="chart-line" d="${linePath}"/>
+            ${band}
+            ${forward}
+            ${projection}
+            <line class="chart-hover-line" x1="0" y1="${CHART_PADDING.top}" x2="0" y2="${bottom}" visibility="hidden"/>
+            <circle class="chart-hover-dot" r="4" cx="0" cy="0" visibility="hidden"/>
+        </svg>`;
+
+    const svg = canvas.querySelector('svg');
+    svg.addEventListener('mousemove', e => showChartTooltip(region, e, points, xFor, yFor));
+    svg.addEventListener('mouseleave', () => hideChartTooltip(region));
+}
+
+function showChartTooltip(region, event, points, xFor, yFor) {
+    const svg = event.currentTarget;
+    const rect = svg.getBoundingClientRect();
+
+    // Convert the cursor position into viewBox coordinates and find the nearest point
+    const viewX = ((event.clientX - rect.left) / rect.width) * CHART_WIDTH;
+    let point = points[0];
+    points.forEach(p => {
+        if (Math.abs(xFor(p.time) - viewX) < Math.abs(xFor(point.time) - viewX)) {
+            point = p;
+        }
+    });
+
+    const x = xFor(point.time);
+    const y = yFor(point.value);
+
+    const hoverLine = svg.querySelector('.chart-hover-line');
+    hoverLine.setAttribute('x1', x);
+    hoverLine.setAttribute('x2', x);
+    hoverLine.setAttribute('visibility', 'visible');
+
+    const hoverDot = svg.querySelector('.chart-hover-dot');
+    hoverDot.setAttribute('cx', x);
+    hoverDot.setAttribute('cy', y);
+    hoverDot.setAttribute('visibility', 'visible');
+
+    const tooltip = document.getElementById(`${region}-chart-tooltip`);
+    const chart = document.getElementById(`${region}-chart`);
+    const chartRect = chart.getBoundingClientRect();
+    const label = point.forward
+        ? `Futures ${formatMonthForDisplay(point.date)}`
+        : `${point.projected ? 'Projected ' : ''}${formatDateForDisplay(point.date)}`;
+    const conversion = priceConversion(currentSource, region);
+    tooltip.textContent = `${label}: ${formatMoney(point.value, conversion)}${conversion.unit}`;
+    tooltip.style.left = `${rect.left - chartRect.left + (x / CHART_WIDTH) * rect.width}px`;
+    tooltip.style.top = `${rect.top - chartRect.top + (y / CHART_HEIGHT) * rect.height}px`;
+    tooltip.classList.add('show');
+}
+
+function hideChartTooltip(region) {
+    const tooltip = document.getElementById(`${region}-chart-tooltip`);
+    if (tooltip) tooltip.classList.remove('show');
+
+    const canvas = document.getElementById(`${region}-chart-canvas`);
+    if (!canvas) return;
+    canvas.querySelectorAll('.chart-hover-line, .chart-hover-dot').forEach(el => {
+        el.setAttribute('visibility', 'hidden');
+    });
+}
+
+// ===== Forward Curves =====
+// Futures prices by delivery month for regions whose benchmark trades them (oil, gas and
+// coal), drawn on the history chart. A projection can start from them instead of spot.
+const CURVE_SHAPES = {
+    contango: 'Contango',
+    backwardation: 'Backwardation',
+    flat: 'Flat curve'
+};
+
+// Curve per region of the current source (see GET /api/curve), only regions with contracts
+let forwardCurves = {};
+
+// Delivery month ('YYYY-MM') as a mid-month date, so no timezone shifts it into the month before
+function deliveryDate(month) {
+    return `${month}-15`;
+}
+
+async function loadForwardCurves(source) {
+    try {
+        const response = await fetch(`${API_BASE_URL}/api/curve/${source}`);
+        if (!response.ok) {
+            throw new Error(`API error: ${response.status}`);
+        }
+        const data = await response.json();
+
+        // Ignore responses that arrive after the user moved on
+        if (source !== currentSource) return;
+
+        data.regions
+            .filter(region => activeRegions.includes(region) && data[region].points.length > 0)
+            .forEach(region => {
+                forwardCurves[region] = data[region];
+                renderCurveStructure(region);
+                document.getElementById(`${region}-anchor-group`).style.display = '';
+                if (chartState.series[region] && chartState.series[region].length > 0) renderPriceChart(region);
+            });
+    } catch (error) {
+        console.error('Error fetching forward curve:', error);
+    }
+}
+
+// Contango or backwardation from the front contract to the last, in the display currency and unit
+function renderCurveStructure(region) {
+    const el = document.getElementById(`${region}-curve`);
+    const curve = forwardCurves[region];
+    if (!curve || !curve.structure) {
+        el.style.display = 'none';
+        return;
+    }
+
+    const { shape, spreadPercent, from, to } = curve.structure;
+    const front = curve.points[0];
+    const back = curve.points[curve.points.length - 1];
+    const conversion = priceConversion(currentSource, region);
+    el.textContent = `${CURVE_SHAPES[shape]}: ${formatMoney(front.value, conversion)} ${formatMonthForDisplay(deliveryDate(from))} to ` +
+        `${formatMoney(back.value, conversion)} ${formatMonthForDisplay(deliveryDate(to))} ` +
+        `(${spreadPercent >= 0 ? '+' : ''}${spreadPercent.toFixed(1)}%)`;
+    el.title = `${curve.benchmark}, ${curve.points.length} monthly contracts${curve.stale ? ' (some served from cache)' : ''}`;
+    el.className = `price-curve ${shape}`;
+    el.style.display = '';
+}
+
+function isForwardAnchored(region) {
+    const select = document.getElementById(`${region}-anchor`);
+    return !!forwardCurves[region] && !!select && select.value === 'forward';
+}
+
+// ===== Projection Calculations =====
+// The model engine itself lives in projections.js
+
+// Shared assumptions every model sees, for the current source and region
+// Before the region's price has loaded (e.g. when filling model defaults) the price is NaN
+function buildRegionContext(region) {
+    const quote = currentData[region] || {};
+    const crude = CONFIG.sources[currentSource].crude;
+    const crack = quote.crack;
+    return buildProjectionContext(currentSource, {
+        currentPrice: parseFloat(quote.price),
+        usageIncrease: parseFloat(document.getElementById(`${region}-usage-increase`).value) || 0,
+        horizonMonths: parseInt(document.getElementById(`${region}-horizon`).value, 10) || 0,
+        demandPath: document.getElementById(`${region}-demand-path`).value,
+        overrides: getAssumptionOverrides(currentSource, region),
+        history: trendHistory[region] || [],
+        // Refined products pass the crude change through their crude cost
+        crudePrice: crude && (crack ? crack.crudePrice : getFallbackPrice(crude.source, crude.region)),
+        crudePriceChange: crude ? parseFloat(document.getElementById(`${region}-crude-change`).value) || 0 : 0,
+        forwardCurve: isForwardAnchored(region) ? forwardCurves[region].points : null
+    });
+}
+
+// Render the selected model's declared inputs, pre-filled with its defaults
+function renderModelInputs(region) {
+    const container = document.getElementById(`${region}-model-inputs`);
+    const modelId = document.getElementById(`${region}-model`).value;
+    const model = PROJECTION_MODELS[modelId];
+    if (!container || !model || !currentSource) return;
+
+    const defaults = getModelInputDefaults(modelId, buildRegionContext(region));
+
+    container.innerHTML = model.inputs.map(input => `
+        <div class="input-group">
+            <label for="${region}-input-${input.key}">${input.label}</label>
+            <div class="input-wrapper">
+                <input type="number" id="${region}-input-${input.key}" data-input="${input.key}"
+                       min="${input.min}" max="${input.max}" step="${input.step}" value="${defaults[input.key]}">
+            </div>
+        </div>`).join('');
+
+    document.getElementById(`${region}-model-description`).textContent = model.description;
+}
+
+function readModelInputs(region) {
+    const inputs = {};
+    document.querySelectorAll(`#${region}-model-inputs [data-input]`).forEach(el => {
+        inputs[el.dataset.input] = parseFloat(el.value);
+    });
+    return inputs;
+}
+
+function calculateProjection(region) {
+    if (!currentSource) {
+        alert('Please select an energy source first.');
+        return;
+    }
+
+    if (!currentData || !currentData[region] || !currentData[region].price) {
+        alert('Please wait for price data to load.');
+        return;
+    }
+
+    const context = buildRegionContext(region);
+    const modelId = document.getElementById(`${region}-model`).value;
+
+    // Same calculation the server runs for POST /api/projections
+    let projectionData;
+    try {
+        projectionData = calculateProjectionRecord(currentSource, region, context, modelId, readModelInputs(region));
+    } catch (error) {
+        alert(error.message);
+        return;
+    }
+
+    renderProjectionOutput(region, projectionData);
+
+    // Store in history for summary
+    projectionData.dataSources = currentDataSources;
+    projectionData.isLiveData = !currentData[region].estimated;
+    projectionData.provenance = currentData[region].provenance;
+    projectionData.priceSource = currentData[region].source;
+    if (currentData[region].hub) {
+        projectionData.hub = currentData[region].hub;
+        projectionData.benchmark = currentData[region].benchmark;
+    }
+    if (currentData[region].state) {
+        projectionData.state = currentData[region].state;
+    }
+
+    projectionHistory.push(projectionData);
+    latestProjection[region] = projectionData;
+
+    // Overlay the projected price path on the history chart
+    chartState.projection[region] = projectionData.pricePath;
+    chartState.bands[region] = null;
+    renderPriceChart(region);
+
+    // Run every model on the same assumptions for the side-by-side view
+    updateModelComparison(region, context, projectionData);
+
+    // Project the substitution effects on the other sources when linked mode is on
+    if (isLinkedEnabled() && LINKED_SOURCES.includes(currentSource)) {
+        runLinkedProjection(region, projectionData);
+    }
+
+    // Sample the assumptions in the background when uncertainty bands are on
+    if (isSimulationEnabled()) {
+        startSimulation(region, modelId, context, projectionData.modelInputs, projectionData);
+    }
+
+    // Generate and show summary
+    generateSummary(projectionData);
+}
+
+// Projected change and new price under a region's inputs, in the display currency and unit
+function renderProjectionOutput(region, projectionData) {
+    const { currentPrice, horizonMonths, priceIncrease, newPrice, pricePath } = projectionData;
+    const finalPoint = pricePath[pricePath.length - 1];
+
+    // Update display with proper sign and color
+    const projectionEl = document.getElementById(`${region}-price-projection`);
+    const sign = priceIncrease >= 0 ? '+' : '';
+    projectionEl.textContent = `${sign}${priceIncrease.toFixed(1)}`;
+
+    // Update colors based on increase/decrease
+    const outputWrapper = projectionEl.closest('.output-wrapper');
+    const outputSuffix = outputWrapper.querySelector('.output-suffix');
+    if (priceIncrease >= 0) {
+        outputWrapper.style.background = 'rgba(239, 68, 68, 0.1)';
+        outputWrapper.style.borderColor = 'rgba(239, 68, 68, 0.3)';
+        projectionEl.style.color = '#ef4444';
+        outputSuffix.style.background = 'rgba(239, 68, 68, 0.15)';
+        outputSuffix.style.color = '#ef4444';
+    } else {
+        outputWrapper.style.background = 'rgba(16, 185, 129, 0.1)';
+        outputWrapper.style.borderColor = 'rgba(16, 185, 129, 0.3)';
+        projectionEl.style.color = '#10b981';
+        outputSuffix.style.background = 'rgba(16, 185, 129, 0.15)';
+        outputSuffix.style.color = '#10b981';
+    }
+
+    const conversion = priceConversion(projectionData.sourceId, region);
+    const priceChangeSign = newPrice >= currentPrice ? '+' : '-';
+    const priceChange = Math.abs(newPrice - currentPrice);
+    const byDate = horizonMonths > 0 ? ` by ${formatMonthForDisplay(finalPoint.date)}` : '';
+    document.getElementById(`${region}-new-price`).textContent =
+        `${formatMoney(newPrice, conversion)}${conversion.unit} (${priceChangeSign}${formatMoney(priceChange, conversion)})${byDate}`;
+}
+
+// ===== Assumption Overrides =====
+// User overrides of the source defaults, per source and region, kept in localStorage
+const ASSUMPTIONS_STORAGE_KEY = 'energyProjections.assumptionOverrides';
+
+const ASSUMPTION_FIELDS = [
+    { key: 'elasticity', label: 'Short-run Elasticity', step: 0.01 },
+    { key: 'longRunElasticity', label: 'Long-run Elasticity', step: 0.01 },
+    { key: 'supplyConstraintFactor', label: 'Supply Constraint Factor', step: 0.05 }
+];
+
+function loadAssumptionOverrides() {
+    try {
+        return JSON.parse(localStorage.getItem(ASSUMPTIONS_STORAGE_KEY)) || {};
+    } catch (error) {
+        console.error('Failed to read saved assumptions:', error);
+        return {};
+    }
+}
+
+function saveAssumptionOverrides(overrides) {
+    try {
+        localStorage.setItem(ASSUMPTIONS_STORAGE_KEY, JSON.stringify(overrides));
+    } catch (error) {
+        console.error('Failed to save assumptions:', error);
+    }
+}
+
+function getAssumptionOverrides(source, region) {
+    const overrides = loadAssumptionOverrides();
+    return (overrides[source] && overrides[source][region]) || {};
+}
+
+function setAssumptionOverride(source, region, key, value) {
+    const overrides = loadAssumptionOverrides();
+    overrides[source] = overrides[source] || {};
+    overrides[source][region] = overrides[source][region] || {};
+
+    // Storing the default again is the same as clearing the override
+    if (value === null || value === getDefaultAssumptions(source)[key]) {
+        delete overrides[source][region][key];
+    } else {
+        overrides[source][region][key] = value;
+    }
+
+    saveAssumptionOverrides(overrides);
+}
+
+function resetAssumptions(region) {
+    if (!currentSource) return;
+
+    const overrides = loadAssumptionOverrides();
+    if (overrides[currentSource]) {
+        delete overrides[currentSource][region];
+        saveAssumptionOverrides(overrides);
+    }
+    renderAssumptionsPanel(region);
+}
+
+function renderAssumptionsPanel(region) {
+    const container = document.getElementById(`${region}-assumptions`);
+    if (!container || !currentSource) return;
+
+    const defaults = getDefaultAssumptions(currentSource);
+    const overrides = getAssumptionOverrides(currentSource, region);
+
+    container.innerHTML = ASSUMPTION_FIELDS.map(field => {
+        const isOverridden = field.key in overrides;
+        const value = isOverridden ? overrides[field.key] : defaults[field.key];
+        return `
+            <div class="input-group assumption-field${isOverridden ? ' overridden' : ''}">
+                <label for="${region}-assumption-${field.key}">${field.label}</label>
+                <div class="input-wrapper">
+                    <input type="number" id="${region}-assumption-${field.key}" min="0.01" step="${field.step}" value="${value}"
+                           onchange="updateAssumption('${region}', '${field.key}', this.value)">
+                </div>
+                <span class="assumption-default">${isOverridden ? `Default: ${defaults[field.key]}` : 'Default'}</span>
+            </div>`;
+    }).join('');
+
+    const count = Object.keys(overrides).length;
+    document.getElementById(`${region}-assumptions-status`).textContent =
+        count > 0 ? `${count} override${count === 1 ? '' : 's'}` : 'Using defaults';
+}
+
+function updateAssumption(region, key, rawValue) {
+    const value = parseFloat(rawValue);
+    // Elasticities and supply factors must be positive; blank or invalid input clears the override
+    setAssumptionOverride(currentSource, region, key, isFinite(value) && value > 0 ? value : null);
+    renderAssumptionsPanel(region);
+}
+
+// ===== Scenarios =====
+// Named projections saved in localStorage so they survive reloads
+const SCENARIOS_STORAGE_KEY = 'energyProjections.scenarios';
+
+function loadScenarios() {
+    try {
+        return JSON.parse(localStorage.getItem(SCENARIOS_STORAGE_KEY)) || [];
+    } catch (error) {
+        console.error('Failed to read saved scenarios:', error);
+        return [];
+    }
+}
+
+function saveScenarios(scenarios) {
+    try {
+        localStorage.setItem(SCENARIOS_STORAGE_KEY, JSON.stringify(scenarios));
+    } catch (error) {
+        console.error('Failed to save scenarios:', error);
+        alert('Could not save scenarios in this browser.');
+    }
+}
+
+function createScenarioId() {
+    return `scn_${Date.now().toString(36)}_${Math.random().toString(36).slice(2, 8)}`;
+}
+
+// Save the projection shown in the summary as a named scenario
+function saveCurrentScenario() {
+    const data = currentSummaryData;
+    if (!data) {
+        alert('Calculate a projection first.');
+        return;
+    }
+
+    const defaultName = `${CONFIG.sources[data.sourceId].name} ${data.region} ${data.usageIncrease >= 0 ? '+' : ''}${data.usageIncrease}%`;
+    const name = prompt('Scenario name', defaultName);
+    if (!name) return;
+
+    const scenarios = loadScenarios();
+    scenarios.push({
+        id: createScenarioId(),
+        name: name.trim(),
+        savedAt: new Date().toISOString(),
+        sourceId: data.sourceId,
+        regionId: data.regionId,
+        source: data.source,
+        region: data.region,
+        usageIncrease: data.usageIncrease,
+        horizonMonths: data.horizonMonths,
+        demandPath: data.demandPath,
+        crudePriceChange: data.crudePriceChange,
+        anchor: data.forwardAnchor ? 'forward' : 'spot',
+        model: data.model,
+        modelInputs: data.modelInputs,
+        assumptionOverrides: data.assumptionOverrides,
+        currentPrice: data.currentPrice,
+        newPrice: data.newPrice,
+        priceIncrease: data.priceIncrease,
+        unit: data.unit,
+        hub: data.hub,
+        state: data.state,
+        benchmark: data.benchmark,
+        isLiveData: data.isLiveData
+    });
+    saveScenarios(scenarios);
+
+    const savedMessage = document.getElementById('scenario-saved');
+    savedMessage.classList.add('show');
+    setTimeout(() => {
+        savedMessage.classList.remove('show');
+    }, 2000);
+}
+
+// Restore a scenario's inputs and assumptions, then recalculate with today's price
+async function loadScenario(id) {
+    const scenario = loadScenarios().find(s => s.id === id);
+    if (!scenario) return;
+
+    const { sourceId, regionId } = scenario;
+    if (!CONFIG.sources[sourceId] || !getSourceRegions(sourceId).includes(regionId)) {
+        alert(`${REGIONS[regionId] || regionId} prices are no longer available for this source.`);
+        return;
+    }
+    const overrides = loadAssumptionOverrides();
+    overrides[sourceId] = overrides[sourceId] || {};
+    overrides[sourceId][regionId] = { ...scenario.assumptionOverrides };
+    saveAssumptionOverrides(overrides);
+
+    if (scenario.hub) {
+        selectedHubs[sourceId] = scenario.hub;
+    }
+    if (scenario.state) {
+        selectedStates[sourceId] = scenario.state;
+    }
+
+    await navigateToSource(sourceId);
+
+    // Region sections are rebuilt on navigation, so the model is restored afterwards
+    document.getElementById(`${regionId}-model`).value = scenario.model;
+    renderModelInputs(regionId);
+    document.getElementById(`${regionId}-usage-increase`).value = scenario.usageIncrease;
+    document.getElementById(`${regionId}-horizon`).value = scenario.horizonMonths;
+    document.getElementById(`${regionId}-demand-path`).value = scenario.demandPath;
+    if (scenario.crudePriceChange !== undefined) {
+        document.getElementById(`${regionId}-crude-change`).value = scenario.crudePriceChange;
+    }
+    if (scenario.anchor === 'forward' && forwardCurves[regionId]) {
+        document.getElementById(`${regionId}-anchor`).value = 'forward';
+    }
+    Object.keys(scenario.modelInputs || {}).forEach(key => {
+        const input = document.getElementById(`${regionId}-input-${key}`);
+        if (input) input.value = scenario.modelInputs[key];
+    });
+
+    calculateProjection(regionId);
+}
+
+function duplicateScenario(id) {
+    const scenarios = loadScenarios();
+    const original = scenarios.find(s => s.id === id);
+    if (!original) return;
+
+    scenarios.push({
+        ...original,
+        id: createScenarioId(),
+        name: `${original.name} (copy)`,
+        savedAt: new Date().toISOString()
+    });
+    saveScenarios(scenarios);
+    renderScenarios();
+}
+
+function deleteScenario(id) {
+    const scenarios = loadScenarios();
+    const scenario = scenarios.find(s => s.id === id);
+    if (!scenario || !confirm(`Delete scenario "${scenario.name}"?`)) return;
+
+    saveScenarios(scenarios.filter(s => s.id !== id));
+    renderScenarios();
+}
+
+function escapeHTML(value) {
+    return String(value)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;');
+}
+
+function renderScenarios() {
+    const section = document.getElementById('scenarios-section');
+    const body = document.getElementById('scenarios-body');
+    if (!section || !body) return;
+
+    const scenarios = loadScenarios();
+    section.classList.toggle('has-scenarios', scenarios.length > 0);
+
+    body.innerHTML = scenarios.map(s => {
+        const conversion = priceConversion(s.sourceId, s.regionId);
+        const direction = s.priceIncrease >= 0 ? 'increase' : 'decrease';
+        const sign = s.priceIncrease >= 0 ? '+' : '';
+        const overrideCount = Object.keys(s.assumptionOverrides || {}).length;
+        return `
+            <tr>
+                <th scope="row">${escapeHTML(s.name)}</th>
+                <td>${escapeHTML(s.source)}</td>
+                <td>${escapeHTML(s.region)}${s.benchmark ? ` (${escapeHTML(s.benchmark)})` : ''}</td>
+                <td>${s.usageIncrease >= 0 ? '+' : ''}${s.usageIncrease}%</td>
+                <td>${s.horizonMonths > 0 ? `${s.horizonMonths} mo` : 'Now'}</td>
+                <td>${escapeHTML(PROJECTION_MODELS[s.model] ? PROJECTION_MODELS[s.model].label : s.model)}${overrideCount > 0 ? ` <span class="scenario-overrides" title="Assumption overrides">${overrideCount} override${overrideCount === 1 ? '' : 's'}</span>` : ''}</td>
+                <td>${formatMoney(s.currentPrice, conversion)}${escapeHTML(conversion.unit)}</td>
+                <td>${formatMoney(s.newPrice, conversion)} <span class="comparison-change ${direction}">${sign}${s.priceIncrease.toFixed(1)}%</span></td>
+                <td class="scenario-actions">
+                    <button class="reset-btn" onclick="loadScenario('${s.id}')">Load</button>
+                    <button class="reset-btn" onclick="duplicateScenario('${s.id}')">Duplicate</button>
+                    <button class="reset-btn" onclick="deleteScenario('${s.id}')">Delete</button>
+                </td>
+            </tr>`;
+    }).join('');
+
+    renderScenarioChart(scenarios);
+}
+
+// Units differ across sources, so scenarios are compared on % price change
+function renderScenarioChart(scenarios) {
+    const chart = document.getElementById('scenarios-chart');
+    if (scenarios.length === 0) {
+        chart.innerHTML = '';
+        return;
+    }
+
+    const rowHeight = 28;
+    const labelWidth = 220;
+    const width = 600;
+    const height = scenarios.length * rowHeight + 8;
+    const maxChange = Math.max(...scenarios.map(s => Math.abs(s.priceIncrease)), 1);
+    const zeroX = labelWidth + (width - labelWidth) / 2;
+    const scale = (width - labelWidth) / 2 / maxChange;
+
+    const rows = scenarios.map((s, i) => {
+        const y = i * rowHeight + 4;
+        const barWidth = Math.abs(s.priceIncrease) * scale;
+        const x = s.priceIncrease >= 0 ? zeroX : zeroX - barWidth;
+        const direction = s.priceIncrease >= 0 ? 'increase' : 'decrease';
+        const label = s.name.length > 30 ? `${s.name.slice(0, 29)}...` : s.name;
+        return `
+            <text class="chart-axis-label" x="${labelWidth - 8}" y="${y + rowHeight / 2 + 4}" text-anchor="end">${escapeHTML(label)}</text>
+            <rect class="scenario-bar ${direction}" x="${x.toFixed(1)}" y="${y + 4}" width="${Math.max(barWidth, 1).toFixed(1)}" height="${rowHeight - 8}">
+                <title>${escapeHTML(s.name)}: ${s.priceIncrease >= 0 ? '+' : ''}${s.priceIncrease.toFixed(1)}%</title>
+            </rect>`;
+    }).join('');
+
+    chart.innerHTML = `
+        <svg viewBox="0 0 ${width} ${height}" role="img" aria-label="Projected price change by scenario">
+            <line class="chart-grid-line" x1="${zeroX}" y1="0" x2="${zeroX}" y2="${height}"/>
+            ${rows}
+        </svg>`;
+}
+
+// ===== Portfolio =====
+// Annual consumption across sources, priced with the projection engine. Lines are kept in
+// localStorage; each is priced from the open detail page's quote when it shows the same
+// source, region and hub, otherwise from /api/prices.
+const PORTFOLIO_STORAGE_KEY = 'energyProjections.portfolio';
+
+// { lines, totals } from the latest calculation, lines in portfolio order
+let portfolioResults = null;
+let portfolioRequestId = 0;
+
+function loadPortfolio() {
+    try {
+        const portfolio = { horizonMonths: 12, lines: [], ...JSON.parse(localStorage.getItem(PORTFOLIO_STORAGE_KEY)) };
+        // Lines saved for a region a source no longer covers cannot be priced
+        portfolio.lines = portfolio.lines.filter(line =>
+            CONFIG.sources[line.source] && getSourceRegions(line.source).includes(line.region));
+        return portfolio;
+    } catch (error) {
+        console.error('Failed to read portfolio:', error);
+        return { horizonMonths: 12, lines: [] };
+    }
+}
+
+function savePortfolio(portfolio) {
+    try {
+        localStorage.setItem(PORTFOLIO_STORAGE_KEY, JSON.stringify(portfolio));
+    } catch (error) {
+        console.error('Failed to save portfolio:', error);
+        alert('Could not save the portfolio in this browser.');
+    }
+}
+
+function renderPortfolioForm() {
+    const sourceSelect = document.getElementById('portfolio-source');
+    sourceSelect.innerHTML = Object.keys(CONFIG.sources)
+        .map(id => `<option value="${id}">${CONFIG.sources[id].fullName}</option>`)
+        .join('');
+    document.getElementById('portfolio-horizon').value = String(loadPortfolio().horizonMonths);
+    renderPortfolioRegions();
+}
+
+function renderPortfolioRegions() {
+    const source = document.getElementById('portfolio-source').value;
+    document.getElementById('portfolio-region').innerHTML = getSourceRegions(source)
+        .map(region => `<option value="${region}">${REGIONS[region]}</option>`)
+        .join('');
+}
+
+// New lines take the hub and state last picked on the source's page
+function addPortfolioLine() {
+    const source = document.getElementById('portfolio-source').value;
+    const portfolio = loadPortfolio();
+    portfolio.lines.push({
+        source,
+        region: document.getElementById('portfolio-region').value,
+        hub: selectedHubs[source] || null,
+        state: selectedStates[source] || null,
+        consumption: 0,
+        usageChange: 0,
+        hedgedVolume: 0,
+        hedgePrice: null
+    });
+    savePortfolio(portfolio);
+    calculatePortfolio();
+}
+
+function updatePortfolioLine(index, key, value) {
+    const portfolio = loadPortfolio();
+    const number = parseFloat(value);
+    portfolio.lines[index][key] = isNaN(number) ? null : number;
+    savePortfolio(portfolio);
+    calculatePortfolio();
+}
+
+function removePortfolioLine(index) {
+    const portfolio = loadPortfolio();
+    portfolio.lines.splice(index, 1);
+    savePortfolio(portfolio);
+    calculatePortfolio();
+}
+
+function setPortfolioHorizon(value) {
+    const portfolio = loadPortfolio();
+    portfolio.horizonMonths = parseInt(value, 10) || 0;
+    savePortfolio(portfolio);
+    calculatePortfolio();
+}
+
+// { price, crudePrice, estimated, benchmark } for a line
+async function portfolioQuote(line) {
+    const open = line.source === currentSource && currentData && currentData[line.region];
+    if (open && (!line.hub || open.hub === line.hub) && (!line.state || open.state === line.state)) {
+        return {
+            price: open.price,
+            crudePrice: open.crack && open.crack.crudePrice,
+            estimated: open.estimated,
+            benchmark: open.benchmark
+        };
+    }
+
+    try {
+        const params = new URLSearchParams();
+        if (line.hub) params.set('hub', line.hub);
+        if (line.state) params.set('state', line.state);
+        const query = params.toString();
+        const response = await fetch(`${API_BASE_URL}/api/prices/${line.source}${query ? `?${query}` : ''}`);
+        if (!response.ok) throw new Error(`API error: ${response.status}`);
+        const quote = (await response.json())[line.region];
+        return {
+            price: quote.value,
+            crudePrice: quote.crack && quote.crack.crudePrice,
+            estimated: !!quote.estimated,
+            benchmark: quote.benchmark
+        };
+    } catch (error) {
+        console.error(`Error fetching ${line.source} price for portfolio:`, error);
+        const crude = CONFIG.sources[line.source].crude;
+        return {
+            price: getFallbackPrice(line.source, line.region, line.hub),
+            crudePrice: crude && getFallbackPrice(crude.source, crude.region),
+            estimated: true
+        };
+    }
+}
+
+async function calculatePortfolio() {
+    const id = ++portfolioRequestId;
+    const portfolio = loadPortfolio();
+    const quotes = await Promise.all(portfolio.lines.map(portfolioQuote));
+    // Superseded by a later edit
+    if (id !== portfolioRequestId) return;
+
+    const lines = portfolio.lines.map((line, i) => ({
+        ...calculatePortfolioLine(line, quotes[i], {
+            horizonMonths: portfolio.horizonMonths,
+            overrides: getAssumptionOverrides(line.source, line.region)
+        }),
+        benchmark: quotes[i].benchmark,
+        isLiveData: !quotes[i].estimated
+    }));
+    portfolioResults = { lines, totals: summarizePortfolio(lines) };
+    renderPortfolio();
+}
+
+// Annual spend in the display currency, to the whole unit
+function formatSpend(value) {
+    const conversion = getCurrencyConversion(displaySettings.currency, exchangeRates.rates);
+    return `${conversion.symbol}${Math.round(value * conversion.factor).toLocaleString('en-US')}`;
+}
+
+function renderPortfolio() {
+    const section = document.getElementById('portfolio-section');
+    if (!section) return;
+
+    const portfolio = loadPortfolio();
+    section.classList.toggle('has-lines', portfolio.lines.length > 0);
+    const results = portfolioResults && portfolioResults.lines.length === portfolio.lines.length ? portfolioResults : null;
+    const change = value => `${value >= 0 ? '+' : ''}${value.toFixed(1)}%`;
+
+    document.getElementById('portfolio-body').innerHTML = portfolio.lines.map((line, i) => {
+        const result = results && results.lines[i];
+        const conversion = nativeConversion(line.source, line.region);
+        const unit = getRegionUnit(line.source, line.region).slice(1);
+        const input = (key, step, placeholder = '') => `
+            <input type="number" class="portfolio-input" step="${step}" value="${line[key] === null ? '' : line[key]}"
+                   placeholder="${placeholder}" onchange="updatePortfolioLine(${i}, '${key}', this.value)">`;
+        const priced = result ? `
+                <td>${formatMoney(result.currentPrice, conversion)} &rarr; ${formatMoney(result.newPrice, conversion)}
+                    <span class="comparison-change ${result.priceIncrease >= 0 ? 'increase' : 'decrease'}">${change(result.priceIncrease)}</span>
+                    ${result.isLiveData ? '' : '<span class="scenario-overrides">Estimated</span>'}</td>
+                <td>${formatSpend(result.currentSpend)}</td>
+                <td>${formatSpend(result.projectedSpend)}</td>
+                <td title="${Math.round(result.exposedVolume).toLocaleString('en-US')} ${unit} unhedged">${formatSpend(result.priceImpact)}${result.overHedged ? ' <span class="scenario-overrides">Over-hedged</span>' : ''}</td>`
+            : '<td colspan="4" class="comparison-empty">Pricing...</td>';
+        return `
+            <tr>
+                <th scope="row">${CONFIG.sources[line.source].name}${result && result.benchmark ? ` <span class="portfolio-benchmark">${escapeHTML(result.benchmark)}</span>` : ''}</th>
+                <td>${REGIONS[line.region]}</td>
+                <td>${input('consumption', 'any')} ${unit}</td>
+                <td>${input('usageChange', 1)} %</td>
+                <td>${input('hedgedVolume', 'any')} ${unit}</td>
+                <td>${input('hedgePrice', 'any', 'Current')}</td>
+                ${priced}
+                <td><button class="reset-btn" onclick="removePortfolioLine(${i})">Remove</button></td>
+            </tr>`;
+    }).join('');
+
+    const totals = results && results.totals;
+    document.getElementById('portfolio-totals').innerHTML = totals ? `
+        <tr>
+            <th scope="row" colspan="7">Total</th>
+            <td>${formatSpend(totals.currentSpend)}</td>
+            <td>${formatSpend(totals.projectedSpend)} <span class="comparison-change ${totals.change >= 0 ? 'increase' : 'decrease'}">${change(totals.changePercent)}</span></td>
+            <td>${formatSpend(totals.priceImpact)}</td>
+            <td></td>
+        </tr>` : '';
+
+    // Spend by source and by region, each shown once the portfolio spans more than one
+    const breakdown = (group, label, nameOf) => Object.keys(group).length > 1
+        ? `<div class="portfolio-breakdown-group"><span class="portfolio-breakdown-label">By ${label}</span>` +
+            Object.keys(group).map(id => {
+                const spend = group[id];
+                const share = totals.projectedSpend > 0 ? spend.projectedSpend / totals.projectedSpend * 100 : 0;
+                return `<span><strong>${nameOf(id)}</strong> ${formatSpend(spend.currentSpend)} &rarr; ${formatSpend(spend.projectedSpend)} (${share.toFixed(0)}% of projected)</span>`;
+            }).join('') + '</div>'
+        : '';
+    document.getElementById('portfolio-breakdown').innerHTML = totals
+        ? breakdown(totals.bySource, 'source', source => CONFIG.sources[source].name) +
+            breakdown(totals.byRegion, 'region', region => REGIONS[region])
+        : '';
+}
+
+// ===== Model Comparison =====
+// Results of every model for each region, keyed by region id
+let modelComparison = {};
+
+function updateModelComparison(region, context, selectedResult) {
+    modelComparison[region] = Object.keys(PROJECTION_MODELS).map(modelId => {
+        if (modelId === selectedResult.model) return selectedResult;
+        try {
+            return runProjectionModel(modelId, context);
+        } catch (error) {
+            return { model: modelId, modelLabel: PROJECTION_MODELS[modelId].label, error: error.message };
+        }
+    });
+    renderModelComparison();
+}
+
+function renderModelComparison() {
+    const section = document.getElementById('comparison-section');
+    const body = document.getElementById('comparison-body');
+    if (!activeRegions.some(region => modelComparison[region])) {
+        section.style.display = 'none';
+        return;
+    }
+
+    const cell = (region, modelId) => {
+        const results = modelComparison[region];
+        if (!results) return '<td class="comparison-empty">--</td>';
+        const result = results.find(r => r.model === modelId);
+        if (result.error) return `<td class="comparison-empty" title="${escapeHTML(result.error)}">n/a</td>`;
+        const direction = result.priceIncrease >= 0 ? 'increase' : 'decrease';
+        const sign = result.priceIncrease >= 0 ? '+' : '';
+        return `<td>${formatMoney(result.newPrice, priceConversion(currentSource, region))} <span class="comparison-change ${direction}">${sign}${result.priceIncrease.toFixed(1)}%</span></td>`;
+    };
+
+    body.innerHTML = Object.values(PROJECTION_MODELS).map(model => `
+        <tr>
+            <th scope="row">${model.label}</th>
+            ${activeRegions.map(region => cell(region, model.id)).join('')}
+        </tr>`).join('');
+
+    section.style.display = 'block';
+}
+
+function resetModelComparison() {
+    modelComparison = {};
+    renderModelComparison();
+}
+
+// ===== Linked Projections =====
+// A projection of one linked source also projects the substitution effects on the
+// others, through the cross-elasticity matrix (user edits kept in localStorage)
+const CROSS_ELASTICITIES_STORAGE_KEY = 'energyProjections.crossElasticities';
+
+// Knock-on rows of the latest linked run: { region, shock, rows }
+let linkedResult = null;
+let linkedRequestId = 0;
+
+function loadCrossElasticityOverrides() {
+    try {
+        return JSON.parse(localStorage.getItem(CROSS_ELASTICITIES_STORAGE_KEY)) || {};
+    } catch (error) {
+        console.error('Failed to read cross-elasticities:', error);
+        return {};
+    }
+}
+
+function saveCrossElasticityOverrides(overrides) {
+    try {
+        localStorage.setItem(CROSS_ELASTICITIES_STORAGE_KEY, JSON.stringify(overrides));
+    } catch (error) {
+        console.error('Failed to save cross-elasticities:', error);
+    }
+}
+
+function isLinkedEnabled() {
+    const toggle = document.getElementById('linked-enabled');
+    return !!(toggle && toggle.checked);
+}
+
+// Matrix editor: one row per source whose demand responds, one column per price that moves
+function renderLinkedSection() {
+    const section = document.getElementById('linked-section');
+    if (!LINKED_SOURCES.includes(currentSource)) {
+        section.style.display = 'none';
+        return;
+    }
+
+    const overrides = loadCrossElasticityOverrides();
+    const matrix = resolveCrossElasticities(overrides);
+    const name = source => CONFIG.sources[source].name;
+
+    document.getElementById('cross-elasticity-head').innerHTML =
+        `<th scope="col">Demand for / Price of</th>${LINKED_SOURCES.map(source => `<th scope="col">${name(source)}</th>`).join('')}`;
+    document.getElementById('cross-elasticity-body').innerHTML = LINKED_SOURCES.map(row => `
+        <tr>
+            <th scope="row">${name(row)}</th>
+            ${LINKED_SOURCES.map(column => {
+                if (row === column) return '<td class="comparison-empty">--</td>';
+                const overridden = overrides[row] && overrides[row][column] !== undefined;
+                return `<td><input type="number" class="cross-elasticity-input${overridden ? ' overridden' : ''}" step="0.01"
+                    value="${matrix[row][column]}" aria-label="${name(row)} demand per 1% ${name(column)} price"
+                    onchange="setCrossElasticity('${row}', '${column}', this.value)"></td>`;
+            }).join('')}
+        </tr>`).join('');
+
+    section.style.display = 'block';
+}
+
+function setCrossElasticity(row, column, value) {
+    const overrides = loadCrossElasticityOverrides();
+    overrides[row] = overrides[row] || {};
+    if (value === '' || !isFinite(Number(value)) || Number(value) === CROSS_ELASTICITIES[row][column]) {
+        delete overrides[row][column];
+    } else {
+        overrides[row][column] = Number(value);
+    }
+    saveCrossElasticityOverrides(overrides);
+    renderLinkedSection();
+}
+
+function resetCrossElasticities() {
+    saveCrossElasticityOverrides({});
+    renderLinkedSection();
+}
+
+// Current price of a linked source in a region, or an estimate when the API has none
+async function fetchLinkedPrice(source, region) {
+    try {
+        const response = await fetch(`${API_BASE_URL}/api/prices/${source}`);
+        if (!response.ok) throw new Error(`API error: ${response.status}`);
+        const data = await response.json();
+        if (data[region]) return { price: data[region].value, estimated: !!data[region].estimated };
+    } catch (error) {
+        console.error(`Error fetching ${source} price:`, error);
+    }
+    return getSourceRegions(source).includes(region)
+        ? { price: getFallbackPrice(source, region), estimated: true }
+        : null;
+}
+
+async function runLinkedProjection(region, projectionData) {
+    const id = ++linkedRequestId;
+    const others = LINKED_SOURCES.filter(source => source !== projectionData.sourceId);
+    const quotes = await Promise.all(others.map(source => fetchLinkedPrice(source, region)));
+    // Superseded by a newer projection or a change of source
+    if (id !== linkedRequestId) return;
+
+    const prices = {};
+    const estimated = {};
+    others.forEach((source, i) => {
+        if (!quotes[i]) return;
+        prices[source] = quotes[i].price;
+        estimated[source] = quotes[i].estimated;
+    });
+
+    const assumptions = {};
+    others.forEach(source => {
+        assumptions[source] = getAssumptionOverrides(source, region);
+    });
+
+    const rows = projectLinkedSources(projectionData, prices, {
+        matrix: resolveCrossElasticities(loadCrossElasticityOverrides()),
+        assumptions
+    });
+    projectionData.linked = rows.map(row => ({ ...row, isLiveData: !estimated[row.sourceId] }));
+    linkedResult = { region, shock: projectionData, rows: projectionData.linked };
+    renderLinkedResults();
+
+    if (currentSummaryData === projectionData) {
+        generateSummary(projectionData, false);
+    }
+}
+
+// The shocked source and every knock-on effect in one table
+function renderLinkedResults() {
+    const container = document.getElementById('linked-results');
+    if (!linkedResult) {
+        container.style.display = 'none';
+        return;
+    }
+
+    const { region, shock, rows } = linkedResult;
+    const change = value => `${value >= 0 ? '+' : ''}${value.toFixed(1)}%`;
+    const row = (sourceId, crossElasticity, demandChange, record, estimated) => {
+        const conversion = priceConversion(sourceId, region);
+        const direction = record.priceIncrease >= 0 ? 'increase' : 'decrease';
+        return `
+            <tr>
+                <th scope="row">${CONFIG.sources[sourceId].name}${estimated ? ' <span class="scenario-overrides">Estimated</span>' : ''}</th>
+                <td>${crossElasticity === null ? 'Shocked' : crossElasticity}</td>
+                <td>${change(demandChange)}</td>
+                <td>${formatMoney(record.currentPrice, conversion)}${conversion.unit}</td>
+                <td>${formatMoney(record.newPrice, conversion)}${conversion.unit} <span class="comparison-change ${direction}">${change(record.priceIncrease)}</span></td>
+            </tr>`;
+    };
+
+    document.getElementById('linked-region').textContent = `${REGIONS[region]}, ${shock.horizonMonths > 0 ? `${shock.horizonMonths} months` : 'immediate'}`;
+    document.getElementById('linked-body').innerHTML =
+        row(shock.sourceId, null, shock.usageIncrease, shock, !shock.isLiveData) +
+        rows.map(r => row(r.sourceId, r.crossElasticity, r.demandChange, r.record, !r.isLiveData)).join('');
+    container.style.display = 'block';
+}
+
+function resetLinkedResults() {
+    linkedRequestId++;
+    linkedResult = null;
+    renderLinkedResults();
+    renderLinkedSection();
+}
+
+// ===== Monte Carlo Simulation =====
+// Draws run in simulation-worker.js; results are matched back by request id
+let simulationWorker = null;
+let simulationRequestId = 0;
+let pendingSimulations = {};
+let latestSimulation = {};
+// Finished results by region, kept so they can be redrawn in another currency or unit
+let simulationResults = {};
+
+function isSimulationEnabled() {
+    const toggle = document.getElementById('simulation-enabled');
+    return !!(toggle && toggle.checked);
+}
+
+function readSimulationSettings() {
+    const spread = id => (parseFloat(document.getElementById(id).value) || 0) / 100;
+    return {
+        draws: parseInt(document.getElementById('simulation-draws').value, 10) || DEFAULT_SIMULATION_SETTINGS.draws,
+        elasticity: {
+            distribution: document.getElementById('simulation-elasticity-distribution').value,
+            spread: spread('simulation-elasticity-spread')
+        },
+        supplyConstraintFactor: {
+            distribution: document.getElementById('simulation-supply-distribution').value,
+            spread: spread('simulation-supply-spread')
+        }
+    };
+}
+
+function getSimulationWorker() {
+    if (simulationWorker === null) {
+        try {
+            simulationWorker = new Worker('simulation-worker.js');
+            simulationWorker.onmessage = handleSimulationMessage;
+            simulationWorker.onerror = (event) => {
+                console.error('Simulation worker error:', event.message);
+            };
+        } catch (error) {
+            // Workers are unavailable (e.g. opened from file://); run on the main thread
+            console.error('Simulation worker unavailable:', error.message);
+            simulationWorker = false;
+        }
+    }
+    return simulationWorker || null;
+}
+
+function startSimulation(region, modelId, context, inputs, projectionData) {
+    const id = ++simulationRequestId;
+    const settings = readSimulationSettings();
+    pendingSimulations[id] = { region, projectionData };
+    latestSimulation[region] = id;
+
+    showSimulationStatus(region, `Running ${settings.draws.toLocaleString('en-US')} draws...`);
+
+    const worker = getSimulationWorker();
+    const message = { id, modelId, context, inputs, settings };
+    if (worker) {
+        worker.postMessage(message);
+    } else {
+        setTimeout(() => {
+            try {
+                handleSimulationMessage({ data: { id, result: runMonteCarlo(modelId, context, inputs, settings) } });
+            } catch (error) {
+                handleSimulationMessage({ data: { id, error: error.message } });
+            }
+        }, 0);
+    }
+}
+
+function handleSimulationMessage(event) {
+    const { id, result, error } = event.data;
+    const pending = pendingSimulations[id];
+    delete pendingSimulations[id];
+
+    // Drop results superseded by a newer run or a change of source
+    if (!pending || latestSimulation[pending.region] !== id) return;
+
+    const { region, projectionData } = pending;
+    if (error) {
+        showSimulationStatus(region, `Simulation failed: ${error}`);
+        return;
+    }
+
+    projectionData.simulation = {
+        draws: result.draws,
+        settings: result.settings,
+        p10: result.percentiles.p10,
+        p50: result.percentiles.p50,
+        p90: result.percentiles.p90
+    };
+
+    chartState.bands[region] = result.bands;
+    renderPriceChart(region);
+    simulationResults[region] = result;
+    renderSimulationResult(region, result);
+
+    if (currentSummaryData === projectionData) {
+        generateSummary(projectionData, false);
+    }
+}
+
+function showSimulationStatus(region, message) {
+    document.getElementById('simulation-section').classList.add('has-results');
+    document.getElementById(`${region}-simulation-stats`).textContent = message;
+    document.getElementById(`${region}-simulation-histogram`).innerHTML = '';
+}
+
+function renderSimulationResult(region, result) {
+    const { p10, p50, p90 } = result.percentiles;
+    const conversion = priceConversion(currentSource, region);
+    document.getElementById(`${region}-simulation-stats`).innerHTML = `
+        <span><strong>P10</strong> ${formatMoney(p10, conversion)}</span>
+        <span><strong>P50</strong> ${formatMoney(p50, conversion)}</span>
+        <span><strong>P90</strong> ${formatMoney(p90, conversion)}</span>
+        <span class="simulation-unit">${conversion.unit}</span>`;
+
+    const width = 300;
+    const height = 90;
+    const bins = result.histogram;
+    const maxCount = Math.max(...bins.map(bin => bin.count));
+    const barWidth = width / bins.length;
+
+    const bars = bins.map((bin, i) => {
+        const barHeight = maxCount > 0 ? (bin.count / maxCount) * (height - 4) : 0;
+        const inRange = bin.to >= p10 && bin.from <= p90 ? ' in-range' : '';
+        return `<rect class="histogram-bar${inRange}" x="${(i * barWidth + 1).toFixed(1)}" y="${(height - barHeight).toFixed(1)}"
+                      width="${(barWidth - 2).toFixed(1)}" height="${barHeight.toFixed(1)}">
+                    <title>${formatMoney(bin.from, conversion)} - ${formatMoney(bin.to, conversion)}: ${bin.count} draws</title>
+                </rect>`;
+    }).join('');
+
+    document.getElementById(`${region}-simulation-histogram`).innerHTML = `
+        <svg viewBox="0 0 ${width} ${height}" role="img" aria-label="Distribution of simulated prices">${bars}</svg>
+        <div class="histogram-axis">
+            <span>${formatMoney(bins[0].from, conversion)}</span>
+            <span>${formatMoney(bins[bins.length - 1].to, conversion)}</span>
+        </div>`;
+}
+
+function resetSimulations() {
+    pendingSimulations = {};
+    latestSimulation = {};
+    simulationResults = {};
+    document.getElementById('simulation-section').classList.remove('has-results');
+    activeRegions.forEach(region => {
+        document.getElementById(`${region}-simulation-stats`).textContent = '';
+        document.getElementById(`${region}-simulation-histogram`).innerHTML = '';
+    });
+}
+
+// ===== Summary Generation =====
+function generateSummary(data, scroll = true) {
+    const summarySection = document.getElementById('summary-section');
+    const summaryContent = document.getElementById('summary-content');
+
+    const timestamp = new Date(data.timestamp);
+    const formattedDate = timestamp.toLocaleDateString('en-US', {
+        weekday: 'long',
+        year: 'numeric',
+        month: 'long',
+        day: 'numeric'
+    });
+    const formattedTime = timestamp.toLocaleTimeString('en-US', {
+        hour: '2-digit',
+        minute: '2-digit',
+        second: '2-digit',
+        timeZoneName: 'short'
+    });
+
+    const conversion = priceConversion(data.sourceId, data.regionId);
+    const money = value => formatMoney(value, conversion);
+    const unit = conversion.unit;
+
+    const summaryText = `
+ENERGY PRICE PROJECTION SUMMARY
+================================================
+
+Report Generated
+  Date: ${formattedDate}
+  Time: ${formattedTime}
+
+Energy Source: ${data.source}
+Region: ${data.region}
+
+CURRENT MARKET DATA
+------------------------------------------------
+Current Price: ${money(data.currentPrice)}${unit}${data.benchmark ? `\nBenchmark:     ${data.benchmark}` : ''}${formatCrudeSummary(data, money, unit)}
+
+PROJECTION ANALYSIS
+------------------------------------------------
+Model:           ${data.modelLabel}${formatModelInputs(data.modelInputs)}
+Horizon:         ${data.horizonMonths > 0 ? `${data.horizonMonths} months` : 'Immediate'}
+Demand Path:     ${DEMAND_PATHS[data.demandPath].label}${formatAnchorSummary(data, money, unit)}
+${formatAssumptionsSummary(data)}
+Usage Change:    ${data.usageIncrease >= 0 ? '+' : ''}${data.usageIncrease.toFixed(1)}%
+Price Impact:    ${data.priceIncrease >= 0 ? '+' : ''}${data.priceIncrease.toFixed(1)}%
+New Price:       ${money(data.newPrice)}${unit}
+Price Change:    ${data.newPrice >= data.currentPrice ? '+' : '-'}${money(Math.abs(data.newPrice - data.currentPrice))}${unit}
+Display:         ${describeConversion(data.unit, conversion)}
+${formatPricePathTable(data, money)}${formatSimulationSummary(data, money, unit)}${formatLinkedSummary(data)}
+DATA SOURCE STATUS
+------------------------------------------------
+Data Type:     ${data.isLiveData ? 'LIVE DATA' : 'ESTIMATED DATA'}
+Price Source:  ${data.priceSource || 'Multiple sources'}
+APIs Queried:  ${data.dataSources && data.dataSources.length > 0 ? data.dataSources.join(', ') : 'Fallback'}
+${data.provenance ? `Lineage:       ${describeProvenance(data.provenance).split('\n').join('\n               ')}\n` : ''}
+REFERENCE SOURCES
+------------------------------------------------
+* EIA - U.S. Energy Information Administration
+  eia.gov/outlooks/steo/realprices/
+
+* FRED - Federal Reserve Economic Data
+  fred.stlouisfed.org
+
+* IRENA - Renewable Power Generation Costs
+  ourworldindata.org/grapher/levelized-cost-of-energy
+
+* Lazard - Levelized Cost of Energy+
+  lazard.com/research-insights/levelized-cost-of-energyplus/
+
+* Yahoo Finance
+  finance.yahoo.com/commodities/
+
+DISCLAIMER
+------------------------------------------------
 This projection uses economic modeling based on
 price elasticity and supply constraints. Actual
 prices may vary due to geopolitical events,
@@ -553,9 +2621,110 @@ Energy Price Projections (c) ${new Date().getFullYear()}
 
     summaryContent.innerHTML = summaryText;
     summarySection.style.display = 'block';
+    currentSummaryData = data;
 
     // Smooth scroll to summary
-    summarySection.scrollIntoView({ behavior: 'smooth', block: 'start' });
+    if (scroll) {
+        summarySection.scrollIntoView({ behavior: 'smooth', block: 'start' });
+    }
+}
+
+function formatSimulationSummary(data, money, unit) {
+    const simulation = data.simulation;
+    if (!simulation) return '';
+
+    const describe = assumption =>
+        `${SIMULATION_DISTRIBUTIONS[assumption.distribution].label} +/-${(assumption.spread * 100).toFixed(0)}%`;
+
+    return `
+UNCERTAINTY (MONTE CARLO)
+------------------------------------------------
+Draws:           ${simulation.draws.toLocaleString('en-US')}
+Elasticity:      ${describe(simulation.settings.elasticity)}
+Supply Factor:   ${describe(simulation.settings.supplyConstraintFactor)}
+P10 Price:       ${money(simulation.p10)}${unit}
+P50 Price:       ${money(simulation.p50)}${unit}
+P90 Price:       ${money(simulation.p90)}${unit}
+80% Interval:    ${money(simulation.p10)} - ${money(simulation.p90)}${unit}
+`;
+}
+
+// Knock-on price changes of a linked projection, one line per source
+function formatLinkedSummary(data) {
+    if (!data.linked || data.linked.length === 0) return '';
+
+    const change = value => `${value >= 0 ? '+' : ''}${value.toFixed(1)}%`;
+    const lines = data.linked.map(row => {
+        const conversion = priceConversion(row.sourceId, data.regionId);
+        const label = `${CONFIG.sources[row.sourceId].name}:`.padEnd(18);
+        return `${label}demand ${change(row.demandChange)} (x${row.crossElasticity}), ` +
+            `price ${change(row.record.priceIncrease)} to ${formatMoney(row.record.newPrice, conversion)}${conversion.unit}` +
+            (row.isLiveData ? '' : ' (estimated price)');
+    });
+
+    return `
+LINKED SOURCES (SUBSTITUTION)
+------------------------------------------------
+Cross-elasticities against the ${data.source} price change; first-round effects only.
+${lines.join('\n')}
+`;
+}
+
+// Assumption lines for the summary, flagging values that differ from the defaults
+function formatAssumptionsSummary(data) {
+    const overrides = data.assumptionOverrides || {};
+    const defaults = getDefaultAssumptions(data.sourceId);
+    const describe = key => key in overrides ? `${data[key]} (override, default ${defaults[key]})` : `${data[key]}`;
+
+    return `Elasticity SR:   ${describe('elasticity')}
+Elasticity LR:   ${describe('longRunElasticity')}
+Supply Factor:   ${describe('supplyConstraintFactor')}`;
+}
+
+// Futures contract a forward-anchored projection ends on
+function formatAnchorSummary(data, money, unit) {
+    const anchor = data.forwardAnchor;
+    if (!anchor) return '';
+    const shape = anchor.curveShape ? ` (${CURVE_SHAPES[anchor.curveShape].toLowerCase()})` : '';
+    return `\nStart From:      Forward curve${shape}, ` +
+        `${formatMonthForDisplay(deliveryDate(anchor.month))} futures at ${money(anchor.price)}${unit}`;
+}
+
+// Crude cost within a refined product's price and the crude change passed through
+function formatCrudeSummary(data, money, unit) {
+    if (!data.crudeCost) return '';
+    const crude = CONFIG.sources[data.sourceId].crude;
+    const sign = data.crudePriceChange >= 0 ? '+' : '';
+    return `\nCrude Cost:    ${money(data.crudeCost)}${unit} (${crude.name})` +
+        `\nCrude Change:  ${sign}${data.crudePriceChange.toFixed(1)}% passed through`;
+}
+
+function formatModelInputs(inputs) {
+    const keys = Object.keys(inputs || {});
+    if (keys.length === 0) return '';
+    return ` (${keys.map(key => `${key}: ${inputs[key]}`).join(', ')})`;
+}
+
+// Price path checkpoints for the summary: quarterly up to a year, yearly beyond
+function formatPricePathTable(data, money) {
+    if (!data.pricePath || data.horizonMonths === 0) return '';
+
+    const step = data.horizonMonths <= 12 ? 3 : 12;
+    const rows = data.pricePath
+        .filter(p => p.month % step === 0 || p.month === data.horizonMonths)
+        .map(p => {
+            const month = formatMonthForDisplay(p.date).padEnd(10);
+            const usage = `${p.usageChange >= 0 ? '+' : ''}${p.usageChange.toFixed(1)}%`.padStart(8);
+            const price = money(p.price).padStart(10);
+            return `${month}${usage}${price}`;
+        });
+
+    return `
+PRICE PATH
+------------------------------------------------
+Month        Usage     Price
+${rows.join('\n')}
+`;
 }
 
 function copySummary() {
@@ -587,6 +2756,144 @@ function copySummary() {
     });
 }
 
+// ===== Export =====
+const PROJECTION_CSV_COLUMNS = [
+    ['timestamp', 'Calculated At'],
+    ['source', 'Source'],
+    ['region', 'Region'],
+    ['benchmark', 'Benchmark'],
+    ['model', 'Model'],
+    ['horizonMonths', 'Horizon (months)'],
+    ['demandPath', 'Demand Path'],
+    ['usageIncrease', 'Usage Change (%)'],
+    ['currentPrice', 'Current Price'],
+    ['newPrice', 'Projected Price'],
+    ['priceIncrease', 'Price Change (%)'],
+    ['unit', 'Unit'],
+    ['elasticity', 'Elasticity SR'],
+    ['longRunElasticity', 'Elasticity LR'],
+    ['supplyConstraintFactor', 'Supply Factor'],
+    ['priceSource', 'Price Source'],
+    ['isLiveData', 'Live Data']
+];
+
+function csvEscape(value) {
+    if (value === null || value === undefined) return '';
+    const text = String(value);
+    return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+function toCSV(header, rows) {
+    return [header, ...rows].map(row => row.map(csvEscape).join(',')).join('\r\n') + '\r\n';
+}
+
+function projectionToRow(data) {
+    const row = PROJECTION_CSV_COLUMNS.map(([key]) => data[key]);
+    const simulation = data.simulation;
+    return row.concat(simulation ? [simulation.p10, simulation.p50, simulation.p90] : ['', '', '']);
+}
+
+function projectionsToCSV(records) {
+    const header = PROJECTION_CSV_COLUMNS.map(([, label]) => label).concat(['P10 Price', 'P50 Price', 'P90 Price']);
+    return toCSV(header, records.map(projectionToRow));
+}
+
+function downloadFile(filename, content, type) {
+    const blob = new Blob([content], { type });
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = filename;
+    document.body.appendChild(link);
+    link.click();
+    document.body.removeChild(link);
+    setTimeout(() => URL.revokeObjectURL(url), 0);
+}
+
+function exportFilename(kind, extension) {
+    const stamp = new Date().toISOString().slice(0, 19).replace(/[:T]/g, '-');
+    return `${currentSource || 'energy'}-${kind}-${stamp}.${extension}`;
+}
+
+function exportProjection(format) {
+    const data = currentSummaryData;
+    if (!data) {
+        alert('Calculate a projection first.');
+        return;
+    }
+
+    if (format === 'csv') {
+        // Month-by-month path follows the headline row so one file carries both
+        let csv = projectionsToCSV([data]);
+        if (data.pricePath && data.pricePath.length > 1) {
+            csv += '\r\n' + toCSV(
+                ['Month', 'Date', 'Usage Change (%)', 'Price'],
+                data.pricePath.map(p => [p.month, p.date, p.usageChange, p.price])
+            );
+        }
+        downloadFile(exportFilename('projection', 'csv'), csv, 'text/csv;charset=utf-8');
+    } else {
+        downloadFile(exportFilename('projection', 'json'), JSON.stringify(data, null, 2), 'application/json');
+    }
+}
+
+function exportProjectionHistory(format) {
+    if (projectionHistory.length === 0) {
+        alert('No projections have been calculated yet.');
+        return;
+    }
+
+    if (format === 'csv') {
+        downloadFile(exportFilename('projection-history', 'csv'), projectionsToCSV(projectionHistory), 'text/csv;charset=utf-8');
+    } else {
+        downloadFile(exportFilename('projection-history', 'json'), JSON.stringify(projectionHistory, null, 2), 'application/json');
+    }
+}
+
+// Current quotes plus the history series behind each chart
+function exportPriceData(format) {
+    if (!currentSource) return;
+
+    const sourceConfig = CONFIG.sources[currentSource];
+    const units = {};
+    activeRegions.forEach(region => {
+        units[region] = getRegionUnit(currentSource, region);
+    });
+
+    if (format === 'csv') {
+        const rows = [];
+        activeRegions.forEach(region => {
+            const quote = currentData[region];
+            if (quote && quote.price !== null) {
+                rows.push([REGIONS[region], 'current', quote.date, quote.price, units[region], quote.source]);
+            }
+            (chartState.series[region] || []).forEach(point => {
+                rows.push([REGIONS[region], `history (${chartState.range[region]})`, point.date, point.value, units[region], point.source]);
+            });
+        });
+        const csv = toCSV(['Region', 'Type', 'Date', 'Price', 'Unit', 'Source'], rows);
+        downloadFile(exportFilename('prices', 'csv'), csv, 'text/csv;charset=utf-8');
+    } else {
+        const payload = {
+            source: currentSource,
+            sourceName: sourceConfig.fullName,
+            exportedAt: new Date().toISOString(),
+            units,
+            current: currentData,
+            history: {}
+        };
+        activeRegions.forEach(region => {
+            payload.history[region] = { range: chartState.range[region], points: chartState.series[region] || [] };
+        });
+        downloadFile(exportFilename('prices', 'json'), JSON.stringify(payload, null, 2), 'application/json');
+    }
+}
+
+// Browsers offer "Save as PDF" from the print dialog; the print stylesheet does the layout
+function printReport() {
+    window.print();
+}
+
 // ===== Event Listeners =====
 document.addEventListener('DOMContentLoaded', () => {
     // Add keyboard shortcuts
@@ -596,17 +2903,12 @@ document.addEventListener('DOMContentLoaded', () => {
         }
     });
 
-    // Add input event listeners for real-time calculation hints
-    ['us', 'world'].forEach(region => {
-        const input = document.getElementById(`${region}-usage-increase`);
-        if (input) {
-            input.addEventListener('keypress', (e) => {
-                if (e.key === 'Enter') {
-                    calculateProjection(region);
-                }
-            });
-        }
-    });
+    renderScenarios();
+    renderDisplaySettings();
+    loadExchangeRates();
+    loadDashboard();
+    renderPortfolioForm();
+    calculatePortfolio();
 
     // Add smooth page transitions
     const style = document.createElement('style');
@@ -0,0 +1,216 @@
+/**
+ * Energy Price Projections - Upstream API Cache
+ * Coordinator: Luke Markham
+ *
+ * Tiered cache for upstream API responses: an in-memory store in front of
+ * a file store that survives restarts and cold starts. Each provider has its
+ * own policy:
+ *   ttl                   - entry is served as-is
+ *   staleWhileRevalidate  - entry is still served while a background refresh runs
+ *   maxStale              - entry is kept as last-known-good when a refresh fails,
+ *                           and served flagged as stale
+ *   missTtl               - after a fetch finds nothing, the key is not fetched again
+ *                           for this long (0: every call retries)
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+const MINUTE = 60 * 1000;
+
+const DEFAULT_CACHE_POLICY = {
+    ttl: 5 * MINUTE,
+    staleWhileRevalidate: 10 * MINUTE,
+    maxStale: 24 * 60 * MINUTE,
+    missTtl: 0
+};
+
+// Entries the memory store keeps before dropping the least recently used
+const DEFAULT_MEMORY_ENTRIES = 1000;
+
+// ===== Stores =====
+// A store is any object with async get(key), set(key, entry) and delete(key)
+
+// Least recently used entries are dropped beyond maxEntries; slower stores still hold them
+function createMemoryStore({ maxEntries = DEFAULT_MEMORY_ENTRIES } = {}) {
+    // Map iteration follows insertion order, so re-inserting on use keeps the oldest first
+    const entries = new Map();
+
+    return {
+        async get(key) {
+            const entry = entries.get(key);
+            if (!entry) return null;
+            entries.delete(key);
+            entries.set(key, entry);
+            return entry;
+        },
+        async set(key, entry) {
+            entries.delete(key);
+            entries.set(key, entry);
+            if (entries.size > maxEntries) {
+                entries.delete(entries.keys().next().value);
+            }
+        },
+        async delete(key) {
+            entries.delete(key);
+        }
+    };
+}
+
+// One JSON file per key, so a write never rewrites unrelated entries
+function createFileStore(directory) {
+    let ready = null;
+
+    const fileFor = key => path.join(directory, `${crypto.createHash('sha1').update(key).digest('hex')}.json`);
+
+    function ensureDirectory() {
+        if (!ready) {
+            ready = fs.promises.mkdir(directory, { recursive: true }).catch(error => {
+                ready = null;
+                throw error;
+            });
+        }
+        return ready;
+    }
+
+    return {
+        async get(key) {
+            try {
+                const stored = JSON.parse(await fs.promises.readFile(fileFor(key), 'utf8'));
+                // Guard against hash collisions and hand-edited files
+                return stored.key === key ? { data: stored.data, fetchedAt: stored.fetchedAt } : null;
+            } catch (error) {
+                if (error.code !== 'ENOENT') {
+                    console.error(`Cache read failed for ${key}:`, error.message);
+                }
+                return null;
+            }
+        },
+        async set(key, entry) {
+            const file = fileFor(key);
+            const temp = `${file}.${process.pid}.tmp`;
+            try {
+                await ensureDirectory();
+                // Write then rename so readers never see a half-written file
+                await fs.promises.writeFile(temp, JSON.stringify({ key, data: entry.data, fetchedAt: entry.fetchedAt }));
+                await fs.promises.rename(temp, file);
+            } catch (error) {
+                console.error(`Cache write failed for ${key}:`, error.message);
+            }
+        },
+        async delete(key) {
+            try {
+                await fs.promises.unlink(fileFor(key));
+            } catch (error) {
+                if (error.code !== 'ENOENT') {
+                    console.error(`Cache delete failed for ${key}:`, error.message);
+                }
+            }
+        }
+    };
+}
+
+// ===== Cache =====
+// stores: fastest first; policies: { [name]: { ttl, staleWhileRevalidate, maxStale, missTtl } }
+function createCache({ stores, policies = {}, now = Date.now }) {
+    // Refreshes in flight, so concurrent misses share one upstream request
+    const pending = new Map();
+    // When each key last came back empty. Kept in memory only, as misses are short-lived.
+    const misses = new Map();
+
+    function recentMiss(key, policy) {
+        const missedAt = misses.get(key);
+        return missedAt !== undefined && now() - missedAt < policy.missTtl;
+    }
+
+    async function read(key) {
+        for (let i = 0; i < stores.length; i++) {
+            const entry = await stores[i].get(key);
+            if (entry) {
+                // Promote so the next read is served from the faster tiers
+                await Promise.all(stores.slice(0, i).map(store => store.set(key, entry)));
+                return entry;
+            }
+        }
+        return null;
+    }
+
+    // Resolves to the new entry, or null when the fetcher failed or returned nothing
+    function refresh(key, fetcher) {
+        if (!pending.has(key)) {
+            const request = Promise.resolve()
+                .then(fetcher)
+                .then(async data => {
+                    if (data === null || data === undefined) {
+                        misses.set(key, now());
+                        return null;
+                    }
+                    misses.delete(key);
+                    const entry = { data, fetchedAt: now() };
+                    await Promise.all(stores.map(store => store.set(key, entry)));
+                    return entry;
+                })
+                .catch(error => {
+                    console.error(`Cache refresh failed for ${key}:`, error.message);
+                    return null;
+                })
+                .finally(() => pending.delete(key));
+            pending.set(key, request);
+        }
+        return pending.get(key);
+    }
+
+    // cached: served from an existing entry rather than fetched for this call
+    function describe(entry, stale, cached) {
+        return {
+            data: entry.data,
+            fetchedAt: new Date(entry.fetchedAt).toISOString(),
+            age: now() - entry.fetchedAt,
+            stale,
+            cached
+        };
+    }
+
+    // { data, fetchedAt, age, stale, cached } or null when nothing usable is available
+    async function get(key, policyName, fetcher) {
+        const policy = { ...DEFAULT_CACHE_POLICY, ...policies[policyName] };
+        const entry = await read(key);
+        const age = entry ? now() - entry.fetchedAt : Infinity;
+
+        if (age < policy.ttl) {
+            return describe(entry, false, true);
+        }
+
+        const missed = recentMiss(key, policy);
+        if (age < policy.ttl + policy.staleWhileRevalidate) {
+            if (!missed) refresh(key, fetcher);
+            return describe(entry, false, true);
+        }
+
+        const refreshed = missed ? null : await refresh(key, fetcher);
+        if (refreshed) {
+            return describe(refreshed, false, false);
+        }
+
+        // Upstream is down: an old observation beats a hard-coded estimate
+        if (age < policy.maxStale) {
+            return describe(entry, true, true);
+        }
+        return null;
+    }
+
+    async function clear(key) {
+        misses.delete(key);
+        await Promise.all(stores.map(store => store.delete(key)));
+    }
+
+    return { get, refresh, clear };
+}
+
+module.exports = {
+    DEFAULT_CACHE_POLICY,
+    createMemoryStore,
+    createFileStore,
+    createCache
+};
@@ -0,0 +1,205 @@
+/**
+ * Energy Price Projections - Background Ingestion
+ * Coordinator: Luke Markham
+ *
+ * A scheduled job pulls current prices for every source from the upstream
+ * providers and keeps them in an observation store, so API requests are served
+ * from the store instead of waiting on EIA, FRED or Yahoo.
+ *
+ * The store holds, per ingestion target (a source, plus a hub where a source has
+ * several benchmarks and a state where it is priced per state):
+ *   snapshots     - the latest prices response, with when it was ingested
+ *   observations  - timestamped values per series, appended when they change
+ * and the job's run log: the last run overall and the last success per provider.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+// Observations kept per series; the oldest are dropped first
+const MAX_OBSERVATIONS = 1000;
+
+// ===== Observation Store =====
+
+function createObservationStore(file) {
+    let state = null;
+    let writing = Promise.resolve();
+
+    async function load() {
+        if (state) return state;
+        try {
+            state = JSON.parse(await fs.promises.readFile(file, 'utf8'));
+        } catch (error) {
+            if (error.code !== 'ENOENT') {
+                console.error('Observation store read failed:', error.message);
+            }
+            state = {};
+        }
+        state = { snapshots: {}, observations: {}, lastRun: null, providers: {}, ...state };
+        return state;
+    }
+
+    // Writes are chained so two runs never interleave temp files
+    function save() {
+        writing = writing.then(async () => {
+            const temp = `${file}.${process.pid}.tmp`;
+            try {
+                await fs.promises.mkdir(path.dirname(file), { recursive: true });
+                await fs.promises.writeFile(temp, JSON.stringify(state));
+                await fs.promises.rename(temp, file);
+            } catch (error) {
+                // Keep serving from memory; the next run tries again
+                console.error('Observation store write failed:', error.message);
+            }
+        });
+        return writing;
+    }
+
+    async function getSnapshot(key) {
+        return (await load()).snapshots[key] || null;
+    }
+
+    async function putSnapshot(key, data, ingestedAt) {
+        (await load()).snapshots[key] = { data, ingestedAt };
+    }
+
+    // Append a point unless it repeats the latest one, which only gets its check time updated
+    async function recordObservation(series, point, observedAt) {
+        const observations = (await load()).observations;
+        const list = observations[series] || (observations[series] = []);
+        const last = list[list.length - 1];
+
+        if (last && last.value === point.value && last.date === point.date) {
+            last.checkedAt = observedAt;
+            return;
+        }
+        list.push({ value: point.value, date: point.date, source: point.source, observedAt, checkedAt: observedAt });
+        if (list.length > MAX_OBSERVATIONS) list.splice(0, list.length - MAX_OBSERVATIONS);
+    }
+
+    async function getObservations(series) {
+        return (await load()).observations[series] || [];
+    }
+
+    return { load, save, getSnapshot, putSnapshot, recordObservation, getObservations };
+}
+
+// ===== Ingestion Job =====
+
+// Observation series for one region of a target, e.g. "natural-gas:world:jkm"
+function observationSeries(target, region) {
+    return [target.source, region, target.hub, target.state].filter(Boolean).join(':');
+}
+
+// targets(): [{ key, source, hub, state }] to ingest on every run.
+// fetchTarget(target) resolves to { response, attempts } where attempts lists
+// { provider, ok } for every upstream leg tried.
+function createIngestionJob({ store, targets, fetchTarget, now = Date.now }) {
+    let running = null;
+
+    async function recordAttempts(attempts, at) {
+        const providers = (await store.load()).providers;
+        attempts.forEach(({ provider, ok }) => {
+            const status = providers[provider] || (providers[provider] = {
+                lastAttemptAt: null,
+                lastSuccessAt: null,
+                lastFailureAt: null
+            });
+            status.lastAttemptAt = at;
+            if (ok) {
+                status.lastSuccessAt = at;
+            } else {
+                status.lastFailureAt = at;
+            }
+        });
+    }
+
+    // Fetch one target and store its snapshot and observations
+    async function ingest(target) {
+        const at = new Date(now()).toISOString();
+        const { response, attempts } = await fetchTarget(target);
+
+        await store.putSnapshot(target.key, response, at);
+        for (const region of response.regions) {
+            const point = response[region];
+            // Estimates are not observations
+            if (point && !point.estimated) {
+                await store.recordObservation(observationSeries(target, region), point, at);
+            }
+        }
+        await recordAttempts(attempts, at);
+        return response;
+    }
+
+    // Refresh a single target outside the schedule (e.g. on a cold start).
+    // Concurrent calls for one target share a fetch.
+    const pendingTargets = new Map();
+
+    function runTarget(target) {
+        if (!pendingTargets.has(target.key)) {
+            const request = ingest(target)
+                .then(async response => {
+                    await store.save();
+                    return response;
+                })
+                .finally(() => pendingTargets.delete(target.key));
+            pendingTargets.set(target.key, request);
+        }
+        return pendingTargets.get(target.key);
+    }
+
+    // Ingest every target once. Overlapping calls share one run.
+    function run() {
+        if (!running) {
+            running = (async () => {
+                const startedAt = new Date(now()).toISOString();
+                const failed = [];
+
+                for (const target of targets()) {
+                    try {
+                        await ingest(target);
+                    } catch (error) {
+                        console.error(`Ingestion failed for ${target.key}:`, error.message);
+                        failed.push(target.key);
+                    }
+                }
+
+                const state = await store.load();
+                state.lastRun = {
+                    startedAt,
+                    finishedAt: new Date(now()).toISOString(),
+                    targets: targets().length,
+                    failed
+                };
+                await store.save();
+                return state.lastRun;
+            })().finally(() => {
+                running = null;
+            });
+        }
+        return running;
+    }
+
+    // Run now and then every intervalMs; returns a function that stops the schedule
+    function schedule(intervalMs) {
+        const tick = () => run().catch(error => console.error('Ingestion run failed:', error.message));
+        tick();
+        const timer = setInterval(tick, intervalMs);
+        // Do not keep the process alive just for ingestion
+        if (timer.unref) timer.unref();
+        return () => clearInterval(timer);
+    }
+
+    async function status() {
+        const state = await store.load();
+        return { lastRun: state.lastRun, providers: state.providers };
+    }
+
+    return { run, runTarget, schedule, status };
+}
+
+module.exports = {
+    createObservationStore,
+    createIngestionJob,
+    observationSeries
+};
@@ -0,0 +1,1161 @@
+/**
+ * Energy Price Projections - Projection Engine
+ * Coordinator: Luke Markham
+ *
+ * Demand paths, projection models and Monte Carlo simulation. Kept free of
+ * DOM access so the same code runs in the page, in the simulation worker
+ * and on the server.
+ */
+
+// ===== Energy Sources =====
+// Projection assumptions per source, shared by the page and the server.
+// regions lists where each source has data, in display order; fallbackPrices are
+// current market estimates used when no upstream answers. Nuclear, solar and
+// renewables are priced as levelized cost of electricity (LCOE), published yearly,
+// so their charts open on the full history (chartRange).
+// A source with a parent is another price basis for the parent's page rather than a
+// landing card of its own; basisLabel names each basis in the page's selector.
+// hubFallbackPrices give per-benchmark estimates where a region's hubs differ widely.
+// Refined products name the crude they are made from (see Crack Spreads); energyContent
+// is their own heat content where the unit (the gallon) does not determine it.
+
+// Crude benchmark refined products are cracked against: WTI, as quoted by the oil page
+// for the US. unitsPerBarrel converts a per-gallon product price to a barrel of crude.
+const CRUDE_WTI = { source: 'oil', region: 'us', name: 'WTI', unitsPerBarrel: 42 };
+
+const ENERGY_SOURCES = {
+    oil: {
+        name: 'Oil',
+        fullName: 'Crude Oil (WTI)',
+        unit: 'barrel',
+        elasticity: 0.4, // Short-run price elasticity
+        longRunElasticity: 0.9, // Elasticity once supply has fully adjusted
+        adjustmentMonths: 36, // Time constant for moving from short- to long-run
+        usUnit: '/barrel',
+        worldUnit: '/barrel', // Every region outside the US
+        regions: ['us', 'world'],
+        fallbackPrices: { us: 74.50, world: 78.80 }
+    },
+    'natural-gas': {
+        name: 'Natural Gas',
+        fullName: 'Natural Gas (Henry Hub)',
+        unit: 'MMBtu',
+        elasticity: 0.25,
+        longRunElasticity: 0.6,
+        adjustmentMonths: 24,
+        usUnit: '/MMBtu',
+        worldUnit: '/MMBtu',
+        regions: ['us', 'world', 'eu', 'japan'],
+        fallbackPrices: { us: 3.15, world: 12.40, eu: 11.50, japan: 12.40 }
+    },
+    nuclear: {
+        name: 'Nuclear',
+        fullName: 'Nuclear Generation Cost',
+        unit: 'MWh',
+        elasticity: 0.15,
+        longRunElasticity: 0.3,
+        adjustmentMonths: 60,
+        usUnit: '/MWh',
+        worldUnit: '/MWh',
+        // Lazard publishes the only regularly updated nuclear LCOE, for the US alone
+        regions: ['us'],
+        fallbackPrices: { us: 182.00 },
+        chartRange: 'MAX',
+        basisLabel: 'All-in generation cost (LCOE)',
+        // Shown beside the generation cost: a light-water reactor burns roughly
+        // 0.05 lb of U3O8 per MWh, so this is the raw uranium share of the cost
+        fuel: { source: 'uranium', unitsPerMWh: 0.05 }
+    },
+    uranium: {
+        name: 'Uranium',
+        fullName: 'Uranium Fuel Cost (U3O8 Spot)',
+        unit: 'lb',
+        elasticity: 0.2,
+        longRunElasticity: 0.6,
+        adjustmentMonths: 48, // New mines and restarts take years
+        usUnit: '/lb',
+        worldUnit: '/lb',
+        regions: ['world'],
+        fallbackPrices: { world: 78.00 },
+        parent: 'nuclear',
+        basisLabel: 'Fuel cost (uranium)'
+    },
+    solar: {
+        name: 'Solar',
+        fullName: 'Solar PV',
+        unit: 'MWh',
+        elasticity: 0.1,
+        longRunElasticity: 0.8,
+        adjustmentMonths: 18,
+        usUnit: '/MWh',
+        worldUnit: '/MWh',
+        regions: ['us', 'world', 'eu', 'uk', 'japan', 'china', 'india', 'australia'],
+        fallbackPrices: { us: 61.00, world: 44.00, eu: 55.00, uk: 60.00, japan: 85.00, china: 37.00, india: 38.00, australia: 45.00 },
+        chartRange: 'MAX'
+    },
+    renewables: {
+        name: 'Other Renewables',
+        fullName: 'Wind & Other Renewables',
+        unit: 'MWh',
+        elasticity: 0.12,
+        longRunElasticity: 0.7,
+        adjustmentMonths: 24,
+        usUnit: '/MWh',
+        worldUnit: '/MWh',
+        regions: ['us', 'world', 'eu', 'uk', 'japan', 'china', 'india', 'australia'],
+        fallbackPrices: { us: 50.00, world: 33.00, eu: 45.00, uk: 50.00, japan: 95.00, china: 27.00, india: 40.00, australia: 42.00 },
+        chartRange: 'MAX'
+    },
+    coal: {
+        name: 'Coal',
+        fullName: 'Thermal Coal',
+        unit: 'ton',
+        elasticity: 0.35,
+        longRunElasticity: 0.8,
+        adjustmentMonths: 36,
+        usUnit: '/short ton',
+        worldUnit: '/metric ton',
+        regions: ['us', 'world', 'australia'],
+        fallbackPrices: { us: 140.00, world: 120.00, australia: 135.00 }
+    },
+    electricity: {
+        name: 'Electricity',
+        fullName: 'Retail Electricity',
+        unit: 'MWh',
+        elasticity: 0.2,
+        longRunElasticity: 0.6,
+        adjustmentMonths: 24, // Regulated tariffs follow costs with a lag
+        usUnit: '/MWh',
+        worldUnit: '/MWh',
+        regions: ['us'],
+        fallbackPrices: { us: 176.00 },
+        hubFallbackPrices: { us: { residential: 176.00, commercial: 135.00, industrial: 85.00 } },
+        basisLabel: 'Retail (by sector and state)'
+    },
+    'electricity-wholesale': {
+        name: 'Wholesale Power',
+        fullName: 'Wholesale Electricity (Day-Ahead)',
+        unit: 'MWh',
+        elasticity: 0.1, // Demand barely responds within the day
+        longRunElasticity: 0.5,
+        adjustmentMonths: 12,
+        usUnit: '/MWh',
+        worldUnit: '/MWh',
+        regions: ['us'],
+        fallbackPrices: { us: 60.00 },
+        hubFallbackPrices: { us: { nyc: 60.00, 'long-island': 70.00, 'hudson-valley': 50.00, capital: 45.00, west: 30.00 } },
+        parent: 'electricity',
+        basisLabel: 'Wholesale (NYISO day-ahead zones)'
+    },
+    // Refined products at the pump (retail hub, weekly) or the wholesale spot market
+    // (spot hub, daily). One page, with the product as its price basis.
+    gasoline: {
+        name: 'Gasoline',
+        fullName: 'Gasoline (Regular)',
+        unit: 'gallon',
+        elasticity: 0.25,
+        longRunElasticity: 0.6,
+        adjustmentMonths: 24,
+        usUnit: '/gallon',
+        worldUnit: '/gallon',
+        regions: ['us'],
+        fallbackPrices: { us: 3.15 },
+        hubFallbackPrices: { us: { retail: 3.15, spot: 2.10 } },
+        energyContent: 0.120, // MMBtu per gallon
+        crude: CRUDE_WTI,
+        basisLabel: 'Gasoline'
+    },
+    diesel: {
+        name: 'Diesel',
+        fullName: 'Diesel (Ultra-Low Sulfur)',
+        unit: 'gallon',
+        elasticity: 0.2,
+        longRunElasticity: 0.5,
+        adjustmentMonths: 24,
+        usUnit: '/gallon',
+        worldUnit: '/gallon',
+        regions: ['us'],
+        fallbackPrices: { us: 3.70 },
+        hubFallbackPrices: { us: { retail: 3.70, spot: 2.35 } },
+        energyContent: 0.138,
+        crude: CRUDE_WTI,
+        parent: 'gasoline',
+        basisLabel: 'Diesel'
+    },
+    'jet-fuel': {
+        name: 'Jet Fuel',
+        fullName: 'Jet Fuel (Kerosene-Type)',
+        unit: 'gallon',
+        elasticity: 0.15,
+        longRunElasticity: 0.5,
+        adjustmentMonths: 24,
+        usUnit: '/gallon',
+        worldUnit: '/gallon',
+        regions: ['us'],
+        fallbackPrices: { us: 2.20 },
+        energyContent: 0.135,
+        crude: CRUDE_WTI,
+        parent: 'gasoline',
+        basisLabel: 'Jet fuel'
+    },
+    'heating-oil': {
+        name: 'Heating Oil',
+        fullName: 'Heating Oil (No. 2)',
+        unit: 'gallon',
+        elasticity: 0.2,
+        longRunElasticity: 0.5,
+        adjustmentMonths: 24,
+        usUnit: '/gallon',
+        worldUnit: '/gallon',
+        regions: ['us'],
+        fallbackPrices: { us: 3.80 },
+        hubFallbackPrices: { us: { retail: 3.80, spot: 2.30 } },
+        energyContent: 0.138,
+        crude: CRUDE_WTI,
+        parent: 'gasoline',
+        basisLabel: 'Heating oil'
+    }
+};
+
+const REGIONS = {
+    us: 'United States',
+    world: 'World',
+    eu: 'European Union',
+    uk: 'United Kingdom',
+    japan: 'Japan',
+    china: 'China',
+    india: 'India',
+    australia: 'Australia'
+};
+
+function getSourceRegions(source) {
+    return ENERGY_SOURCES[source] ? ENERGY_SOURCES[source].regions : ['us', 'world'];
+}
+
+// Estimate for a region, using the hub's own figure where the source has one
+function getFallbackPrice(source, region, hub) {
+    const sourceConfig = ENERGY_SOURCES[source];
+    const hubPrices = sourceConfig.hubFallbackPrices && sourceConfig.hubFallbackPrices[region];
+    return hubPrices && hubPrices[hub] !== undefined ? hubPrices[hub] : sourceConfig.fallbackPrices[region];
+}
+
+// Sources a detail page can switch between: the page's own source and those naming it as parent
+function getPriceBases(source) {
+    const root = (ENERGY_SOURCES[source] && ENERGY_SOURCES[source].parent) || source;
+    return Object.keys(ENERGY_SOURCES).filter(id => id === root || ENERGY_SOURCES[id].parent === root);
+}
+
+function getRegionUnit(source, region) {
+    const sourceConfig = ENERGY_SOURCES[source];
+    if (!sourceConfig) return undefined;
+    return region === 'us' ? sourceConfig.usUnit : sourceConfig.worldUnit;
+}
+
+// ===== Units & Currencies =====
+// Prices are quoted in USD per native unit. Conversion to a common energy unit uses the
+// heat content of one native unit; electricity is taken at its heat equivalent (1 MWh = 3.412 MMBtu).
+const MMBTU_PER_MWH = 3.412;
+
+const UNIT_ENERGY_CONTENT = {
+    '/barrel': 5.8,        // Crude oil (EIA)
+    '/MMBtu': 1,
+    '/MWh': MMBTU_PER_MWH,
+    '/short ton': 18.9,    // Average US coal (EIA)
+    '/metric ton': 23.8    // 6,000 kcal/kg thermal coal, the seaborne benchmark grade
+};
+
+const DISPLAY_UNITS = {
+    native: { label: 'Native units' },
+    mmbtu: { label: 'per MMBtu', unit: '/MMBtu', mmbtu: 1 },
+    mwh: { label: 'per MWh (thermal)', unit: '/MWh-th', mmbtu: MMBTU_PER_MWH }
+};
+
+// fredSeries quotes USD per unit of the currency when inverted, otherwise units per USD
+const CURRENCIES = {
+    USD: { symbol: '$', name: 'US Dollar' },
+    EUR: { symbol: '€', name: 'Euro', fredSeries: 'DEXUSEU', inverted: true },
+    GBP: { symbol: '£', name: 'British Pound', fredSeries: 'DEXUSUK', inverted: true },
+    JPY: { symbol: '¥', name: 'Japanese Yen', fredSeries: 'DEXJPUS' }
+};
+
+// Units of each currency per USD, used until FRED answers
+const FALLBACK_FX_RATES = { USD: 1, EUR: 0.92, GBP: 0.79, JPY: 150 };
+
+// Multiplier from USD to a currency, for amounts with no unit (e.g. annual spend):
+// { factor, symbol, currency }. Unknown currencies fall back to USD.
+function getCurrencyConversion(currency, rates = FALLBACK_FX_RATES) {
+    const code = CURRENCIES[currency] ? currency : 'USD';
+    return { factor: rates[code] || FALLBACK_FX_RATES[code], symbol: CURRENCIES[code].symbol, currency: code };
+}
+
+// Multiplier from USD per native unit to the requested currency and unit:
+// { factor, symbol, currency, unit }. Unknown units and currencies pass through unchanged.
+function getPriceConversion(source, region, options = {}) {
+    const nativeUnit = getRegionUnit(source, region);
+    const { factor: rate, symbol, currency } = getCurrencyConversion(options.currency, options.rates);
+    const target = DISPLAY_UNITS[options.unit];
+    const sourceConfig = ENERGY_SOURCES[source];
+    const energyContent = (sourceConfig && sourceConfig.energyContent) || UNIT_ENERGY_CONTENT[nativeUnit];
+
+    let factor = rate;
+    let unit = nativeUnit;
+    if (target && target.unit && energyContent) {
+        factor *= target.mmbtu / energyContent;
+        unit = target.unit;
+    }
+
+    return { factor, symbol, currency, unit };
+}
+
+function getSupplyConstraintFactor(source) {
+    // Supply constraint factors based on current market conditions
+    const factors = {
+        oil: 1.2,           // Moderate supply constraints (OPEC+ cuts)
+        'natural-gas': 1.1, // Some infrastructure constraints
+        nuclear: 0.8,       // Stable supply, long-term contracts
+        uranium: 1.1,       // Few producers; spot trades thinly
+        solar: 0.6,         // Rapidly expanding supply
+        renewables: 0.7,    // Good supply growth
+        coal: 1.0,          // Stable but declining market
+        electricity: 1.05,  // Grid build-out trails demand growth
+        'electricity-wholesale': 1.2, // Marginal prices spike when reserves run thin
+        gasoline: 1.1,      // Refinery closures have tightened capacity
+        diesel: 1.15,       // Low distillate inventories
+        'jet-fuel': 1.1,
+        'heating-oil': 1.15
+    };
+
+    return factors[source] || 1.0;
+}
+
+// ===== Crack Spreads =====
+// A refined product's price is the cost of the crude it is made from plus a refining
+// and distribution margin. The crack spread is that margin per barrel of crude.
+
+// Only spot prices give a true crack spread. Pump prices also carry distribution,
+// marketing and taxes, so the spread of a retail hub is reported as a retail margin.
+const RETAIL_HUB = 'retail';
+
+// hub: the price's benchmark. Without one the price is the source's default, which is
+// the retail price wherever the source has a retail hub.
+function isRetailPrice(source, hub) {
+    if (hub) return hub === RETAIL_HUB;
+    const hubPrices = ENERGY_SOURCES[source].hubFallbackPrices || {};
+    return Object.values(hubPrices).some(prices => RETAIL_HUB in prices);
+}
+
+// { crude, kind, productPerBarrel, crudePrice, spread } in USD per barrel, or null when
+// the source is not a refined product or either price is missing. kind is 'crack' or
+// 'retail-margin'.
+function getCrackSpread(source, productPrice, crudePrice, hub = null) {
+    const crude = ENERGY_SOURCES[source] && ENERGY_SOURCES[source].crude;
+    if (!crude || !(productPrice > 0) || !(crudePrice > 0)) return null;
+
+    const productPerBarrel = productPrice * crude.unitsPerBarrel;
+    return {
+        crude: crude.name,
+        kind: isRetailPrice(source, hub) ? 'retail-margin' : 'crack',
+        productPerBarrel: productPerBarrel,
+        crudePrice: crudePrice,
+        spread: productPerBarrel - crudePrice
+    };
+}
+
+/**
+ * Pass a crude price change through a refined product's path. The model's change
+ * applies to the margin over crude only; the crude cost moves by crudePriceChange,
+ * ramped linearly to the horizon. Paths of other sources are returned unchanged.
+ */
+function passThroughCrude(context, path) {
+    if (!context.crudeCost) return path;
+
+    const crudeChange = context.crudePriceChange / 100;
+    return path.map(point => {
+        const ramp = context.horizonMonths > 0 ? point.month / context.horizonMonths : 1;
+        // Moves the crude share of the price from the model's change to the crude change
+        const shift = context.crudeCost * (crudeChange * ramp - point.priceChange / 100);
+        const adjusted = {
+            ...point,
+            price: point.price + shift,
+            priceChange: ((point.price + shift) / context.currentPrice - 1) * 100
+        };
+        if (point.low !== undefined) {
+            adjusted.low = point.low + shift;
+            adjusted.high = point.high + shift;
+        }
+        return adjusted;
+    });
+}
+
+// ===== Forward Curves =====
+// A forward curve is the futures price for delivery in each coming month:
+// [{ month: 'YYYY-MM', value, symbol }], nearest first. A curve rising away from the
+// front month is in contango (storage and carry priced in); a falling one is in
+// backwardation (supply tight now, expected to ease).
+
+// Back-to-front moves within this (%) count as flat
+const FLAT_CURVE_PERCENT = 1;
+
+// { shape, spread, spreadPercent, from, to } comparing the last contract with the front,
+// or null without two contracts to compare
+function describeCurveStructure(points) {
+    if (!points || points.length < 2) return null;
+
+    const front = points[0];
+    const back = points[points.length - 1];
+    const spread = back.value - front.value;
+    const spreadPercent = spread / front.value * 100;
+    let shape = 'flat';
+    if (spreadPercent > FLAT_CURVE_PERCENT) shape = 'contango';
+    if (spreadPercent < -FLAT_CURVE_PERCENT) shape = 'backwardation';
+
+    return { shape, spread, spreadPercent, from: front.month, to: back.month };
+}
+
+// The contract delivering in a month ('YYYY-MM'), else the next one listed; months
+// past the end of the curve take its last contract
+function forwardPriceAt(points, month) {
+    return points.find(point => point.month >= month) || points[points.length - 1];
+}
+
+/**
+ * Anchor a path to the forward curve. Instead of holding at spot, the baseline follows
+ * the contract for each month's delivery and the model's change applies on top of it.
+ * Month 0 stays at spot. Paths are returned unchanged when the context has no curve.
+ */
+function anchorToForward(context, path) {
+    if (!context.forwardCurve) return path;
+
+    return path.map(point => {
+        if (point.month === 0) return point;
+        const factor = forwardPriceAt(context.forwardCurve, point.date.slice(0, 7)).value / context.currentPrice;
+        const anchored = {
+            ...point,
+            price: point.price * factor,
+            priceChange: (point.price * factor / context.currentPrice - 1) * 100
+        };
+        if (point.low !== undefined) {
+            anchored.low = point.low * factor;
+            anchored.high = point.high * factor;
+        }
+        return anchored;
+    });
+}
+
+// ===== Demand Paths =====
+// Demand growth paths: cumulative usage change (fraction) at a month on the horizon
+const DEMAND_PATHS = {
+    immediate: { label: 'Immediate', demandAt: (total) => total },
+    linear: { label: 'Linear ramp', demandAt: (total, month, horizon) => total * month / horizon },
+    compound: { label: 'Compound growth', demandAt: (total, month, horizon) => Math.pow(1 + total, month / horizon) - 1 }
+};
+
+function demandChangeAt(context, month) {
+    const total = context.usageIncrease / 100;
+    if (context.horizonMonths === 0) return total;
+    const path = DEMAND_PATHS[context.demandPath] || DEMAND_PATHS.linear;
+    return path.demandAt(total, month, context.horizonMonths);
+}
+
+// ISO dates for each month of a horizon, memoized for repeated simulation draws
+let monthDatesMemo = { key: null, dates: null };
+
+function getMonthDates(startDate, horizonMonths) {
+    const start = new Date(startDate || Date.now());
+    // Keep month arithmetic from rolling over at month ends (Jan 31 + 1 month)
+    start.setDate(Math.min(start.getDate(), 28));
+
+    const key = `${start.toISOString().split('T')[0]}_${horizonMonths}`;
+    if (monthDatesMemo.key === key) return monthDatesMemo.dates;
+
+    const dates = [];
+    for (let month = 0; month <= horizonMonths; month++) {
+        const date = new Date(start);
+        date.setMonth(date.getMonth() + month);
+        dates.push(date.toISOString().split('T')[0]);
+    }
+    monthDatesMemo = { key, dates };
+    return dates;
+}
+
+// Build monthly path points from a price-change function (fractions in, percentages out)
+function buildPricePath(context, priceChangeAt) {
+    const dates = getMonthDates(context.startDate, context.horizonMonths);
+
+    const points = [];
+    for (let month = 0; month <= context.horizonMonths; month++) {
+        const priceChange = priceChangeAt(month);
+
+        points.push({
+            month: month,
+            date: dates[month],
+            usageChange: demandChangeAt(context, month) * 100,
+            priceChange: priceChange * 100,
+            price: context.currentPrice * (1 + priceChange)
+        });
+    }
+    return points;
+}
+
+/**
+ * Project a monthly price path over a time horizon.
+ *
+ * Each month's increment in demand is priced at the elasticity matching its age:
+ * new demand meets the short-run elasticity, which relaxes toward the long-run
+ * elasticity as supply adjusts (time constant adjustmentMonths).
+ */
+function projectPricePath(context) {
+    const { elasticity, longRunElasticity, adjustmentMonths, supplyConstraintFactor } = context;
+    // Demand added in each month of the horizon, and the elasticity it meets at each age
+    const increments = [];
+    const elasticityAt = [];
+    for (let month = 0; month <= context.horizonMonths; month++) {
+        increments.push(demandChangeAt(context, month) - (month > 0 ? demandChangeAt(context, month - 1) : 0));
+        elasticityAt.push(longRunElasticity - (longRunElasticity - elasticity) * Math.exp(-month / adjustmentMonths));
+    }
+
+    return buildPricePath(context, month => {
+        // Formula per increment: % price change = (% demand change) / elasticity * supply factor
+        let priceChange = 0;
+        for (let introduced = 0; introduced <= month; introduced++) {
+            priceChange += increments[introduced] / elasticityAt[month - introduced] * supplyConstraintFactor;
+        }
+        return priceChange;
+    });
+}
+
+// ===== Projection Model Registry =====
+// Each model declares the inputs it needs (with defaults derived from the
+// projection context, and the range it accepts) and returns a monthly price path.
+const PROJECTION_MODELS = {};
+
+function registerProjectionModel(model) {
+    PROJECTION_MODELS[model.id] = model;
+}
+
+registerProjectionModel({
+    id: 'elasticity',
+    label: 'Constant elasticity',
+    description: 'Demand change priced through short- and long-run supply elasticities',
+    inputs: [
+        { key: 'adjustmentMonths', label: 'Supply adjustment (months)', step: 1, min: 1, max: 240, defaultValue: ctx => ctx.adjustmentMonths }
+    ],
+    project: (ctx, inputs) => projectPricePath({ ...ctx, adjustmentMonths: inputs.adjustmentMonths })
+});
+
+registerProjectionModel({
+    id: 'linear',
+    label: 'Linear supply/demand',
+    description: 'Equilibrium of a linear supply curve and a shifted linear demand curve',
+    inputs: [
+        { key: 'demandElasticity', label: 'Demand elasticity', step: 0.01, min: 0.01, max: 10, defaultValue: () => 0.2 }
+    ],
+    project: (ctx, inputs) => {
+        // Supply slope from the short-run elasticity, tightened by the supply factor;
+        // buyers respond along the demand curve, so the shift is shared between both.
+        const effectiveSupply = ctx.elasticity / ctx.supplyConstraintFactor;
+        return buildPricePath(ctx, month => {
+            const priceChange = demandChangeAt(ctx, month) / (effectiveSupply + inputs.demandElasticity);
+            // A linear curve cannot take the price below zero
+            return Math.max(priceChange, -1);
+        });
+    }
+});
+
+registerProjectionModel({
+    id: 'mean-reverting',
+    label: 'Mean-reverting stochastic',
+    description: 'Log price reverts toward the long-run equilibrium implied by the demand change',
+    inputs: [
+        // Above 12 a year, monthly steps would overshoot the equilibrium
+        { key: 'reversionSpeed', label: 'Reversion speed (per year)', step: 0.1, min: 0, max: 12, defaultValue: () => 1.5 },
+        { key: 'volatility', label: 'Volatility (annual)', step: 0.05, min: 0, max: 5, defaultValue: () => 0.35 }
+    ],
+    project: (ctx, inputs) => {
+        const dt = 1 / 12;
+        const z90 = 1.2816;
+        const logStart = Math.log(ctx.currentPrice);
+        let logPrice = logStart;
+        let variance = 0;
+        const bands = [];
+
+        const path = buildPricePath(ctx, month => {
+            if (month > 0) {
+                // Equilibrium moves with demand, priced at the long-run elasticity
+                const equilibriumChange = demandChangeAt(ctx, month) / ctx.longRunElasticity * ctx.supplyConstraintFactor;
+                const target = Math.log(ctx.currentPrice * Math.max(1 + equilibriumChange, 0.01));
+                const pull = 1 - inputs.reversionSpeed * dt;
+
+                logPrice = logPrice + inputs.reversionSpeed * dt * (target - logPrice);
+                variance = variance * pull * pull + inputs.volatility * inputs.volatility * dt;
+            }
+            const spread = z90 * Math.sqrt(variance);
+            bands.push({ low: Math.exp(logPrice - spread), high: Math.exp(logPrice + spread) });
+            return Math.exp(logPrice - logStart) - 1;
+        });
+
+        // Attach the P10/P90 range around the median path
+        path.forEach((point, i) => {
+            point.low = bands[i].low;
+            point.high = bands[i].high;
+        });
+        return path;
+    }
+});
+
+// Observations the trend model is fitted to; the page and the server fetch the same window
+const TREND_HISTORY_WINDOW = { months: 12, frequency: 'daily' };
+
+registerProjectionModel({
+    id: 'trend',
+    label: 'Trend extrapolation',
+    description: 'Log-linear trend fitted to recent price history; ignores the usage change',
+    requiresHistory: true,
+    inputs: [
+        { key: 'lookbackMonths', label: 'Lookback (months)', step: 1, min: 1, max: TREND_HISTORY_WINDOW.months, defaultValue: () => 12 }
+    ],
+    project: (ctx, inputs) => {
+        const history = ctx.history || [];
+        const lastTime = history.length > 0 ? new Date(history[history.length - 1].date).getTime() : 0;
+        const monthMs = 30.4375 * 86400000;
+        const samples = history
+            .map(p => ({ t: (new Date(p.date).getTime() - lastTime) / monthMs, y: Math.log(p.value) }))
+            .filter(p => p.t >= -inputs.lookbackMonths && isFinite(p.y));
+
+        if (samples.length < 2) {
+            throw new Error('Not enough price history to fit a trend');
+        }
+
+        // Ordinary least squares slope of log price per month
+        const meanT = samples.reduce((sum, p) => sum + p.t, 0) / samples.length;
+        const meanY = samples.reduce((sum, p) => sum + p.y, 0) / samples.length;
+        let covariance = 0;
+        let varianceT = 0;
+        samples.forEach(p => {
+            covariance += (p.t - meanT) * (p.y - meanY);
+            varianceT += (p.t - meanT) * (p.t - meanT);
+        });
+        const monthlyGrowth = varianceT > 0 ? covariance / varianceT : 0;
+
+        return buildPricePath(ctx, month => Math.exp(monthlyGrowth * month) - 1);
+    }
+});
+
+function getModelInputDefaults(modelId, context) {
+    const model = PROJECTION_MODELS[modelId];
+    const defaults = {};
+    model.inputs.forEach(input => {
+        defaults[input.key] = input.defaultValue(context);
+    });
+    return defaults;
+}
+
+// Error message for the first input outside the range its model declares, or null.
+// Inputs the model does not take, and blanks (NaN), are ignored as runProjectionModel does.
+function validateModelInputs(modelId, inputs) {
+    const invalid = PROJECTION_MODELS[modelId].inputs.find(input => {
+        const value = inputs[input.key];
+        return value !== undefined && !isNaN(value) && !(value >= input.min && value <= input.max);
+    });
+    return invalid ? `${invalid.label} must be from ${invalid.min} to ${invalid.max}` : null;
+}
+
+/**
+ * Run a registered model. Missing inputs fall back to the model's defaults.
+ * Returns the path plus the headline end-of-horizon figures.
+ */
+function runProjectionModel(modelId, context, inputs = {}) {
+    const model = PROJECTION_MODELS[modelId];
+    if (!model) {
+        throw new Error(`Unknown projection model: ${modelId}`);
+    }
+    if (model.requiresHistory && (!context.history || context.history.length === 0)) {
+        throw new Error(`${model.label} needs price history`);
+    }
+
+    const resolvedInputs = { ...getModelInputDefaults(modelId, context) };
+    Object.keys(inputs).forEach(key => {
+        if (key in resolvedInputs && !isNaN(inputs[key])) {
+            resolvedInputs[key] = inputs[key];
+        }
+    });
+    const inputError = validateModelInputs(modelId, resolvedInputs);
+    if (inputError) {
+        throw new Error(inputError);
+    }
+
+    const path = passThroughCrude(context, anchorToForward(context, model.project(context, resolvedInputs)));
+    const finalPoint = path[path.length - 1];
+
+    return {
+        model: model.id,
+        modelLabel: model.label,
+        inputs: resolvedInputs,
+        path: path,
+        priceIncrease: finalPoint.priceChange,
+        newPrice: finalPoint.price
+    };
+}
+
+// ===== Projection Records =====
+// Assumption overrides a caller may apply on top of the source defaults
+const ASSUMPTION_KEYS = ['elasticity', 'longRunElasticity', 'adjustmentMonths', 'supplyConstraintFactor'];
+
+function getDefaultAssumptions(source) {
+    const sourceConfig = ENERGY_SOURCES[source];
+    return {
+        elasticity: sourceConfig.elasticity,
+        longRunElasticity: sourceConfig.longRunElasticity,
+        adjustmentMonths: sourceConfig.adjustmentMonths,
+        supplyConstraintFactor: getSupplyConstraintFactor(source)
+    };
+}
+
+/**
+ * Build the context every model runs against: the caller's price and demand
+ * inputs plus the source's assumptions, with any overrides applied. Refined
+ * products also take the current crude price (per barrel) and the crude price
+ * change (%) to pass through. A forwardCurve anchors the path to futures prices
+ * instead of spot.
+ */
+function buildProjectionContext(source, {
+    currentPrice,
+    usageIncrease = 0,
+    horizonMonths = 0,
+    demandPath = 'linear',
+    overrides = {},
+    history = [],
+    startDate,
+    crudePrice,
+    crudePriceChange = 0,
+    forwardCurve
+}) {
+    if (!ENERGY_SOURCES[source]) {
+        throw new Error(`Unknown energy source: ${source}`);
+    }
+
+    const context = {
+        currentPrice: currentPrice,
+        usageIncrease: usageIncrease,
+        horizonMonths: horizonMonths,
+        demandPath: demandPath,
+        ...getDefaultAssumptions(source),
+        overrides: {},
+        history: history,
+        startDate: startDate,
+        // Crude cost per unit of product; null for sources not made from crude
+        crudeCost: null,
+        crudePriceChange: 0,
+        forwardCurve: forwardCurve && forwardCurve.length > 0 ? forwardCurve : null
+    };
+
+    const crude = ENERGY_SOURCES[source].crude;
+    if (crude && crudePrice > 0) {
+        context.crudeCost = crudePrice / crude.unitsPerBarrel;
+        context.crudePriceChange = Number(crudePriceChange) || 0;
+    }
+
+    ASSUMPTION_KEYS.forEach(key => {
+        const value = Number(overrides[key]);
+        if (overrides[key] !== undefined && overrides[key] !== null && isFinite(value) && value > 0) {
+            context[key] = value;
+            context.overrides[key] = value;
+        }
+    });
+
+    return context;
+}
+
+/**
+ * Run a model and shape the result as a projection history entry. This is the
+ * record the detail page summarizes and POST /api/projections returns.
+ */
+function calculateProjectionRecord(source, region, context, modelId, inputs = {}) {
+    const sourceConfig = ENERGY_SOURCES[source];
+    const result = runProjectionModel(modelId, context, inputs);
+
+    const record = {
+        sourceId: source,
+        regionId: region,
+        region: REGIONS[region],
+        source: sourceConfig.fullName,
+        currentPrice: context.currentPrice,
+        usageIncrease: context.usageIncrease,
+        priceIncrease: result.priceIncrease,
+        newPrice: result.newPrice,
+        horizonMonths: context.horizonMonths,
+        demandPath: context.demandPath,
+        model: result.model,
+        modelLabel: result.modelLabel,
+        modelInputs: result.inputs,
+        elasticity: context.elasticity,
+        longRunElasticity: context.longRunElasticity,
+        supplyConstraintFactor: context.supplyConstraintFactor,
+        assumptionOverrides: { ...context.overrides },
+        pricePath: result.path,
+        timestamp: new Date().toISOString(),
+        unit: getRegionUnit(source, region)
+    };
+    if (context.crudeCost) {
+        record.crudeCost = context.crudeCost;
+        record.crudePriceChange = context.crudePriceChange;
+    }
+    if (context.forwardCurve && context.horizonMonths > 0) {
+        const finalPoint = result.path[result.path.length - 1];
+        const contract = forwardPriceAt(context.forwardCurve, finalPoint.date.slice(0, 7));
+        const structure = describeCurveStructure(context.forwardCurve);
+        record.forwardAnchor = {
+            month: contract.month,
+            symbol: contract.symbol,
+            price: contract.value,
+            curveShape: structure ? structure.shape : null
+        };
+    }
+    return record;
+}
+
+// ===== Linked Projections =====
+// Substitution between sources. CROSS_ELASTICITIES[a][b] is the % change in demand for
+// a per 1% rise in the price of b: positive for substitutes, such as gas and coal
+// competing to fuel power stations. Own-price responses come from each source's elasticities.
+const LINKED_SOURCES = ['oil', 'natural-gas', 'nuclear', 'solar', 'renewables', 'coal'];
+
+const CROSS_ELASTICITIES = {
+    oil: { 'natural-gas': 0.05, nuclear: 0, solar: 0, renewables: 0, coal: 0.02 },
+    'natural-gas': { oil: 0.1, nuclear: 0.1, solar: 0.05, renewables: 0.1, coal: 0.2 },
+    nuclear: { oil: 0, 'natural-gas': 0.05, solar: 0.02, renewables: 0.02, coal: 0.02 },
+    solar: { oil: 0.02, 'natural-gas': 0.15, nuclear: 0.05, renewables: 0.1, coal: 0.05 },
+    renewables: { oil: 0.02, 'natural-gas': 0.15, nuclear: 0.05, solar: 0.1, coal: 0.05 },
+    coal: { oil: 0.02, 'natural-gas': 0.3, nuclear: 0.05, solar: 0.05, renewables: 0.05 }
+};
+
+// Default matrix with any finite overrides ({ [a]: { [b]: value } }) applied
+function resolveCrossElasticities(overrides = {}) {
+    const matrix = {};
+    LINKED_SOURCES.forEach(a => {
+        matrix[a] = { ...CROSS_ELASTICITIES[a] };
+        Object.keys(matrix[a]).forEach(b => {
+            const value = overrides[a] ? Number(overrides[a][b]) : NaN;
+            if (overrides[a] && overrides[a][b] !== null && overrides[a][b] !== '' && isFinite(value)) {
+                matrix[a][b] = value;
+            }
+        });
+    });
+    return matrix;
+}
+
+/**
+ * Knock-on effects of a projection on the other linked sources. Each sees a demand
+ * change of its cross-elasticity times the shocked source's price change, priced
+ * through its own assumptions over the same horizon. First-round effects only: the
+ * knock-on price changes are not fed back into the shocked source.
+ *
+ * shock: projection record of a linked source. prices: current price per source in
+ * the shock's region; sources without one are left out. assumptions: per-source
+ * overrides. Returns one row per other source:
+ * { sourceId, crossElasticity, demandChange, record }.
+ */
+function projectLinkedSources(shock, prices, { matrix = CROSS_ELASTICITIES, assumptions = {}, startDate } = {}) {
+    if (!LINKED_SOURCES.includes(shock.sourceId)) {
+        throw new Error(`${shock.source} is not linked to other sources`);
+    }
+
+    return LINKED_SOURCES
+        .filter(source => source !== shock.sourceId && prices[source] > 0)
+        .filter(source => getSourceRegions(source).includes(shock.regionId))
+        .map(source => {
+            const crossElasticity = matrix[source][shock.sourceId];
+            const demandChange = crossElasticity * shock.priceIncrease;
+            const context = buildProjectionContext(source, {
+                currentPrice: prices[source],
+                usageIncrease: demandChange,
+                horizonMonths: shock.horizonMonths,
+                demandPath: shock.demandPath,
+                overrides: assumptions[source] || {},
+                startDate
+            });
+            return {
+                sourceId: source,
+                crossElasticity,
+                demandChange,
+                record: calculateProjectionRecord(source, shock.regionId, context, 'elasticity')
+            };
+        });
+}
+
+// ===== Portfolio =====
+// Annual consumption across sources, one line per source and region:
+// { source, region, consumption (native units a year), usageChange (%), hedgedVolume,
+// hedgePrice }. Hedged volume is bought at its fixed price whatever the market does,
+// so only the rest of the consumption is exposed to the projected price.
+
+/**
+ * Current and projected annual spend (USD) for one portfolio line, projected with the
+ * same record the detail page calculates. quote: { price, crudePrice } for the line's
+ * region. options: { horizonMonths, demandPath, model, overrides }. A hedge without a
+ * price is taken as locked at the current price.
+ */
+function calculatePortfolioLine(line, quote, options = {}) {
+    const consumption = Math.max(Number(line.consumption) || 0, 0);
+    const hedgedVolume = Math.max(Number(line.hedgedVolume) || 0, 0);
+    const hedgePrice = Number(line.hedgePrice) > 0 ? Number(line.hedgePrice) : quote.price;
+
+    const context = buildProjectionContext(line.source, {
+        currentPrice: quote.price,
+        usageIncrease: Number(line.usageChange) || 0,
+        horizonMonths: options.horizonMonths || 0,
+        demandPath: options.demandPath || 'linear',
+        overrides: options.overrides || {},
+        crudePrice: quote.crudePrice
+    });
+    const projection = calculateProjectionRecord(line.source, line.region, context, options.model || 'elasticity');
+
+    const projectedConsumption = consumption * (1 + context.usageIncrease / 100);
+    // A hedge covers at most the volume actually bought
+    const currentHedged = Math.min(hedgedVolume, consumption);
+    const projectedHedged = Math.min(hedgedVolume, projectedConsumption);
+    const exposedVolume = projectedConsumption - projectedHedged;
+
+    return {
+        source: line.source,
+        region: line.region,
+        unit: projection.unit,
+        consumption,
+        projectedConsumption,
+        hedgedVolume: projectedHedged,
+        hedgePrice,
+        overHedged: hedgedVolume > projectedConsumption,
+        currentPrice: projection.currentPrice,
+        newPrice: projection.newPrice,
+        priceIncrease: projection.priceIncrease,
+        currentSpend: currentHedged * hedgePrice + (consumption - currentHedged) * projection.currentPrice,
+        projectedSpend: projectedHedged * hedgePrice + exposedVolume * projection.newPrice,
+        exposedVolume,
+        // What the price change alone adds to the spend, on the unhedged volume
+        priceImpact: exposedVolume * (projection.newPrice - projection.currentPrice)
+    };
+}
+
+// Totals over calculated lines: overall, per source and per region
+// (bySource and byRegion: { [id]: { currentSpend, projectedSpend } })
+function summarizePortfolio(results) {
+    const totals = { currentSpend: 0, projectedSpend: 0, priceImpact: 0, bySource: {}, byRegion: {} };
+    const addTo = (group, id, result) => {
+        const spend = group[id] || (group[id] = { currentSpend: 0, projectedSpend: 0 });
+        spend.currentSpend += result.currentSpend;
+        spend.projectedSpend += result.projectedSpend;
+    };
+    results.forEach(result => {
+        addTo(totals.bySource, result.source, result);
+        addTo(totals.byRegion, result.region, result);
+        totals.currentSpend += result.currentSpend;
+        totals.projectedSpend += result.projectedSpend;
+        totals.priceImpact += result.priceImpact;
+    });
+    totals.change = totals.projectedSpend - totals.currentSpend;
+    totals.changePercent = totals.currentSpend > 0 ? totals.change / totals.currentSpend * 100 : 0;
+    return totals;
+}
+
+// ===== Monte Carlo Simulation =====
+// Assumptions are sampled as multipliers around their central value
+const SIMULATION_DISTRIBUTIONS = {
+    normal: {
+        label: 'Normal',
+        sample: (spread, random) => 1 + spread * standardNormal(random)
+    },
+    uniform: {
+        label: 'Uniform',
+        sample: (spread, random) => 1 + spread * (2 * random() - 1)
+    },
+    triangular: {
+        label: 'Triangular',
+        sample: (spread, random) => {
+            const u = random();
+            return 1 + spread * (u < 0.5 ? Math.sqrt(2 * u) - 1 : 1 - Math.sqrt(2 * (1 - u)));
+        }
+    }
+};
+
+const DEFAULT_SIMULATION_SETTINGS = {
+    draws: 5000,
+    histogramBins: 20,
+    elasticity: { distribution: 'normal', spread: 0.25 },
+    supplyConstraintFactor: { distribution: 'uniform', spread: 0.2 }
+};
+
+// Elasticities and supply factors must stay positive whatever the draw
+const MIN_SAMPLE_MULTIPLIER = 0.05;
+const MAX_SIMULATION_SPREAD = 0.9;
+
+// Error message for the sampled assumptions in simulation settings, or null when usable
+function validateSimulationSettings(settings) {
+    for (const key of ['elasticity', 'supplyConstraintFactor']) {
+        const assumption = settings[key];
+        if (assumption === undefined) continue;
+        if (!assumption || typeof assumption !== 'object') {
+            return `simulation.${key} must be an object of distribution and spread`;
+        }
+        if (assumption.distribution !== undefined &&
+            !Object.prototype.hasOwnProperty.call(SIMULATION_DISTRIBUTIONS, assumption.distribution)) {
+            return `simulation.${key}.distribution must be one of: ${Object.keys(SIMULATION_DISTRIBUTIONS).join(', ')}`;
+        }
+        if (assumption.spread !== undefined && !(typeof assumption.spread === 'number' &&
+            assumption.spread >= 0 && assumption.spread <= MAX_SIMULATION_SPREAD)) {
+            return `simulation.${key}.spread must be a number from 0 to ${MAX_SIMULATION_SPREAD}`;
+        }
+    }
+    return null;
+}
+
+function standardNormal(random) {
+    // Box-Muller transform
+    const u = 1 - random();
+    const v = random();
+    return Math.sqrt(-2 * Math.log(u)) * Math.cos(2 * Math.PI * v);
+}
+
+function sampleMultiplier(assumption, random) {
+    const distribution = SIMULATION_DISTRIBUTIONS[assumption.distribution] || SIMULATION_DISTRIBUTIONS.normal;
+    return Math.max(distribution.sample(assumption.spread, random), MIN_SAMPLE_MULTIPLIER);
+}
+
+// Linear interpolation between closest ranks of a sorted array
+function percentile(sorted, p) {
+    const rank = (sorted.length - 1) * p;
+    const lower = Math.floor(rank);
+    const upper = Math.ceil(rank);
+    return sorted[lower] + (sorted[upper] - sorted[lower]) * (rank - lower);
+}
+
+function buildHistogram(sorted, binCount) {
+    if (!Number.isInteger(binCount) || binCount < 1) {
+        throw new Error(`Histogram bin count must be a positive integer, got ${binCount}`);
+    }
+    const min = sorted[0];
+    const max = sorted[sorted.length - 1];
+    const width = (max - min) / binCount || 1;
+
+    const bins = [];
+    for (let i = 0; i < binCount; i++) {
+        bins.push({ from: min + i * width, to: min + (i + 1) * width, count: 0 });
+    }
+    sorted.forEach(value => {
+        const index = Math.min(Math.floor((value - min) / width), binCount - 1);
+        bins[index].count++;
+    });
+    return bins;
+}
+
+/**
+ * Run a model many times with elasticity and supply constraint factor drawn
+ * from the configured distributions. Returns P10/P50/P90 of the end-of-horizon
+ * price, a histogram of those prices and percentile bands for every month.
+ */
+function runMonteCarlo(modelId, context, inputs = {}, settings = {}, random = Math.random) {
+    const config = {
+        ...DEFAULT_SIMULATION_SETTINGS,
+        ...settings,
+        elasticity: { ...DEFAULT_SIMULATION_SETTINGS.elasticity, ...settings.elasticity },
+        supplyConstraintFactor: { ...DEFAULT_SIMULATION_SETTINGS.supplyConstraintFactor, ...settings.supplyConstraintFactor }
+    };
+    if (!Number.isInteger(config.draws) || config.draws < 1) {
+        throw new Error(`Simulation draws must be a positive integer, got ${config.draws}`);
+    }
+    const settingsError = validateSimulationSettings(settings);
+    if (settingsError) {
+        throw new Error(settingsError);
+    }
+
+    const monthly = [];
+    for (let month = 0; month <= context.horizonMonths; month++) monthly.push([]);
+    const finalPrices = [];
+    let dates = null;
+
+    for (let draw = 0; draw < config.draws; draw++) {
+        // One multiplier moves short- and long-run elasticity together
+        const elasticityMultiplier = sampleMultiplier(config.elasticity, random);
+        const supplyMultiplier = sampleMultiplier(config.supplyConstraintFactor, random);
+
+        const result = runProjectionModel(modelId, {
+            ...context,
+            elasticity: context.elasticity * elasticityMultiplier,
+            longRunElasticity: context.longRunElasticity * elasticityMultiplier,
+            supplyConstraintFactor: context.supplyConstraintFactor * supplyMultiplier
+        }, inputs);
+
+        result.path.forEach((point, month) => monthly[month].push(point.price));
+        finalPrices.push(result.newPrice);
+        if (!dates) dates = result.path.map(point => point.date);
+    }
+
+    finalPrices.sort((a, b) => a - b);
+
+    return {
+        draws: config.draws,
+        settings: config,
+        percentiles: {
+            p10: percentile(finalPrices, 0.1),
+            p50: percentile(finalPrices, 0.5),
+            p90: percentile(finalPrices, 0.9)
+        },
+        histogram: buildHistogram(finalPrices, config.histogramBins),
+        bands: monthly.map((prices, month) => {
+            prices.sort((a, b) => a - b);
+            return {
+                month: month,
+                date: dates[month],
+                p10: percentile(prices, 0.1),
+                p50: percentile(prices, 0.5),
+                p90: percentile(prices, 0.9)
+            };
+        })
+    };
+}
+
+// ===== Export for Node and workers =====
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        ENERGY_SOURCES,
+        REGIONS,
+        getSourceRegions,
+        getFallbackPrice,
+        getPriceBases,
+        getRegionUnit,
+        UNIT_ENERGY_CONTENT,
+        DISPLAY_UNITS,
+        CURRENCIES,
+        FALLBACK_FX_RATES,
+        getCurrencyConversion,
+        getPriceConversion,
+        getCrackSpread,
+        passThroughCrude,
+        describeCurveStructure,
+        forwardPriceAt,
+        anchorToForward,
+        DEMAND_PATHS,
+        PROJECTION_MODELS,
+        TREND_HISTORY_WINDOW,
+        SIMULATION_DISTRIBUTIONS,
+        MAX_SIMULATION_SPREAD,
+        validateSimulationSettings,
+        DEFAULT_SIMULATION_SETTINGS,
+        registerProjectionModel,
+        ASSUMPTION_KEYS,
+        getSupplyConstraintFactor,
+        getDefaultAssumptions,
+        buildProjectionContext,
+        calculateProjectionRecord,
+        LINKED_SOURCES,
+        CROSS_ELASTICITIES,
+        resolveCrossElasticities,
+        projectLinkedSources,
+        calculatePortfolioLine,
+        summarizePortfolio,
+        projectPricePath,
+        getModelInputDefaults,
+        validateModelInputs,
+        runProjectionModel,
+        runMonteCarlo
+    };
+}
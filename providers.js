@@ -0,0 +1,715 @@
+/**
+ * Energy Price Projections - Upstream Data Providers
+ * Coordinator: Luke Markham
+ *
+ * One adapter per upstream API (EIA, FRED, IRENA, NYISO, Yahoo Finance) plus bundled Lazard
+ * cost figures. An adapter turns a series ID into the latest observation or a
+ * date-ranged history, both in the shared { value, date, source } shape. Futures curves
+ * are read one Yahoo contract symbol at a time (see futuresContracts).
+ *
+ * Each provider definition is pure: it builds request URLs and parses response
+ * bodies, so it can be checked against recorded responses without the network.
+ * createProviders wires the definitions to an HTTP client and the upstream cache.
+ *
+ * Providers that publish one bulk file instead of a per-series API define a dataset:
+ * either datasetUrl plus parseDataset (downloaded, parsed and cached once for every
+ * series) or a bundled dataset object. seriesPoints reads one series out of it.
+ * Providers that publish history as one file per period list them with historyFiles.
+ */
+
+const readline = require('readline');
+const zlib = require('zlib');
+
+// Supported frequencies for historical series, finest first
+const HISTORY_FREQUENCY_RANK = { daily: 0, weekly: 1, monthly: 2 };
+
+const BROWSER_HEADERS = {
+    'User-Agent': 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36'
+};
+
+// ===== EIA =====
+// Documentation: https://www.eia.gov/opendata/documentation.php
+
+// EIA API v2 series definitions (route, facets and the column holding the price)
+const EIA_SERIES = {
+    'PET.RWTC.D': {
+        route: 'petroleum/pri/spt/data/',
+        query: 'data[0]=value&facets[series][]=RWTC',
+        field: 'value',
+        frequency: 'daily'
+    },
+    'NG.RNGWHHD.D': {
+        route: 'natural-gas/pri/sum/data/',
+        query: 'data[0]=value&facets[process][]=PNG',
+        field: 'value',
+        frequency: 'daily'
+    },
+    'COAL.PRICE': {
+        route: 'coal/markets/data/',
+        query: 'data[0]=price',
+        field: 'price',
+        frequency: 'weekly'
+    },
+    // Refined products in USD/gallon: weekly US retail (pump) prices...
+    'PET.EMM_EPMR_PTE_NUS_DPG.W': petroleumSeries('gnd', 'EMM_EPMR_PTE_NUS_DPG', 'weekly'),
+    'PET.EMD_EPD2D_PTE_NUS_DPG.W': petroleumSeries('gnd', 'EMD_EPD2D_PTE_NUS_DPG', 'weekly'),
+    'PET.W_EPD2F_PRS_NUS_DPG.W': petroleumSeries('wfr', 'W_EPD2F_PRS_NUS_DPG', 'weekly'),
+    // ...and daily spot prices at New York Harbor (Gulf Coast for jet fuel)
+    'PET.EER_EPMRU_PF4_Y35NY_DPG.D': petroleumSeries('spt', 'EER_EPMRU_PF4_Y35NY_DPG', 'daily'),
+    'PET.EER_EPD2DXL0_PF4_Y35NY_DPG.D': petroleumSeries('spt', 'EER_EPD2DXL0_PF4_Y35NY_DPG', 'daily'),
+    'PET.EER_EPJK_PF4_RGC_DPG.D': petroleumSeries('spt', 'EER_EPJK_PF4_RGC_DPG', 'daily'),
+    'PET.EER_EPD2F_PF4_Y35NY_DPG.D': petroleumSeries('spt', 'EER_EPD2F_PF4_Y35NY_DPG', 'daily')
+};
+
+// Petroleum price series share a layout: one route per price type (gnd: retail gasoline
+// and diesel, wfr: heating oil retail, spt: spot), faceted by EIA series ID
+function petroleumSeries(priceType, series, frequency) {
+    return {
+        route: `petroleum/pri/${priceType}/data/`,
+        query: `data[0]=value&facets[series][]=${series}`,
+        field: 'value',
+        frequency
+    };
+}
+
+// Retail electricity prices are one series per state and sector, e.g. "ELEC.RETAIL.CA.RES"
+// ("US" for the national average). EIA quotes cents/kWh; scale converts to $/MWh.
+const EIA_RETAIL_SECTORS = ['RES', 'COM', 'IND'];
+
+function eiaSeries(series) {
+    if (EIA_SERIES[series]) return EIA_SERIES[series];
+
+    const retail = /^ELEC\.RETAIL\.([A-Z]{2})\.([A-Z]{3})$/.exec(series);
+    if (retail && EIA_RETAIL_SECTORS.includes(retail[2])) {
+        return {
+            route: 'electricity/retail-sales/data/',
+            query: `data[0]=price&facets[stateid][]=${retail[1]}&facets[sectorid][]=${retail[2]}`,
+            field: 'price',
+            frequency: 'monthly',
+            scale: 10
+        };
+    }
+    return null;
+}
+
+function buildEIAUrl(definition, apiKey, options = {}) {
+    const frequency = options.frequency || definition.frequency;
+    let url = `https://api.eia.gov/v2/${definition.route}?frequency=${frequency}&${definition.query}` +
+        '&sort[0][column]=period&sort[0][direction]=desc';
+
+    // Monthly series take YYYY-MM bounds
+    const bound = date => (frequency === 'monthly' ? date.slice(0, 7) : date);
+    if (options.start) url += `&start=${bound(options.start)}`;
+    if (options.end) url += `&end=${bound(options.end)}`;
+    url += `&length=${options.length || 1}`;
+
+    return `${url}&api_key=${apiKey}`;
+}
+
+function eiaValue(row, definition) {
+    const value = parseFloat(row[definition.field]);
+    return definition.scale ? Math.round(value * definition.scale * 100) / 100 : value;
+}
+
+// Monthly periods ("2026-07") are dated to the first of the month like the other series
+function eiaDate(period) {
+    return period.length === 7 ? `${period}-01` : period;
+}
+
+function eiaRows(payload) {
+    return payload.response && payload.response.data && payload.response.data.length > 0
+        ? payload.response.data
+        : null;
+}
+
+const eiaProvider = {
+    id: 'eia',
+    name: 'EIA',
+    apiKey: 'eia',
+
+    hasSeries: series => !!eiaSeries(series),
+
+    latestUrl(series, apiKey) {
+        return buildEIAUrl(eiaSeries(series), apiKey);
+    },
+
+    parseLatest(payload, series) {
+        const rows = eiaRows(payload);
+        if (!rows) return null;
+        const definition = eiaSeries(series);
+        return {
+            value: eiaValue(rows[0], definition),
+            date: eiaDate(rows[0].period),
+            source: 'EIA'
+        };
+    },
+
+    historyUrl(series, { from, to, frequency }, apiKey) {
+        const definition = eiaSeries(series);
+        // Coal is only published weekly; finer requests are served at that frequency
+        const eiaFrequency = HISTORY_FREQUENCY_RANK[frequency] < HISTORY_FREQUENCY_RANK[definition.frequency]
+            ? definition.frequency
+            : frequency;
+
+        return buildEIAUrl(definition, apiKey, {
+            frequency: eiaFrequency,
+            start: from,
+            end: to,
+            length: 5000
+        });
+    },
+
+    parseHistory(payload, series) {
+        const rows = eiaRows(payload);
+        if (!rows) return null;
+        const definition = eiaSeries(series);
+        return rows
+            .map(row => ({
+                value: eiaValue(row, definition),
+                date: eiaDate(row.period),
+                source: 'EIA'
+            }))
+            .filter(point => !isNaN(point.value))
+            .reverse();
+    }
+};
+
+// ===== FRED =====
+// Documentation: https://fred.stlouisfed.org/docs/api/fred/
+
+function fredObservations(payload) {
+    return payload.observations && payload.observations.length > 0 ? payload.observations : null;
+}
+
+const fredProvider = {
+    id: 'fred',
+    name: 'FRED',
+    apiKey: 'fred',
+
+    hasSeries: series => /^[A-Z0-9]+$/.test(series),
+
+    latestUrl(series, apiKey) {
+        return `https://api.stlouisfed.org/fred/series/observations?series_id=${series}&api_key=${apiKey}&file_type=json&sort_order=desc&limit=1`;
+    },
+
+    parseLatest(payload) {
+        const observations = fredObservations(payload);
+        if (!observations) return null;
+        return {
+            value: parseFloat(observations[0].value),
+            date: observations[0].date,
+            source: 'FRED'
+        };
+    },
+
+    historyUrl(series, { from, to, frequency }, apiKey) {
+        // FRED can only aggregate down, so daily requests use the native frequency
+        const fredFrequency = frequency === 'daily' ? '' : `&frequency=${frequency.charAt(0)}&aggregation_method=avg`;
+        return `https://api.stlouisfed.org/fred/series/observations?series_id=${series}&api_key=${apiKey}&file_type=json&sort_order=asc&observation_start=${from}&observation_end=${to}${fredFrequency}`;
+    },
+
+    parseHistory(payload) {
+        const observations = fredObservations(payload);
+        if (!observations) return null;
+        // FRED marks missing observations with '.'
+        return observations
+            .filter(obs => obs.value !== '.')
+            .map(obs => ({
+                value: parseFloat(obs.value),
+                date: obs.date,
+                source: 'FRED'
+            }));
+    }
+};
+
+// ===== IRENA levelized costs (via Our World in Data) =====
+// IRENA's Renewable Power Generation Costs, as republished by OWID's grapher in one CSV
+// with a column per technology in USD per kWh. The file is streamed and parsed line by
+// line, and only the parsed table is cached (see datasetUrl/parseDataset below).
+const IRENA_LCOE_URL = 'https://ourworldindata.org/grapher/levelized-cost-of-energy.csv?v=1&csvType=full&useColumnShortNames=false';
+
+// Technology ids used in series IDs, matched against the CSV's column headers
+const IRENA_TECHNOLOGIES = {
+    solar: /solar.?photovoltaic/i,
+    wind: /onshore.?wind/i,
+    'offshore-wind': /offshore.?wind/i
+};
+
+// Series IDs are "<entity>:<technology>", where entity is an ISO code or an
+// OWID entity name, e.g. "USA:solar" or "World:wind"
+function parseLCOESeries(series) {
+    const [entity, technology] = series.split(':');
+    return { entity, technology };
+}
+
+// Split one CSV line, honouring quoted fields (OWID quotes names containing commas)
+function splitCSVLine(line) {
+    const cells = [];
+    let cell = '';
+    let quoted = false;
+    for (let i = 0; i < line.length; i++) {
+        const char = line[i];
+        if (quoted) {
+            if (char === '"' && line[i + 1] === '"') {
+                cell += '"';
+                i++;
+            } else if (char === '"') {
+                quoted = false;
+            } else {
+                cell += char;
+            }
+        } else if (char === '"') {
+            quoted = true;
+        } else if (char === ',') {
+            cells.push(cell);
+            cell = '';
+        } else {
+            cell += char;
+        }
+    }
+    cells.push(cell);
+    return cells;
+}
+
+const irenaProvider = {
+    id: 'irena',
+    name: 'IRENA',
+
+    hasSeries(series) {
+        const { entity, technology } = parseLCOESeries(series);
+        return !!entity && technology in IRENA_TECHNOLOGIES;
+    },
+
+    datasetUrl: () => IRENA_LCOE_URL,
+
+    // lines: async iterable of CSV lines. Resolves to
+    // { entities: { [name]: { [technology]: { [year]: $/MWh } } }, codes: { [code]: name } }
+    async parseDataset(lines) {
+        const dataset = { entities: {}, codes: {} };
+        let columns = null;
+
+        for await (const line of lines) {
+            if (!line) continue;
+            const cells = splitCSVLine(line);
+
+            if (!columns) {
+                columns = {};
+                Object.keys(IRENA_TECHNOLOGIES).forEach(technology => {
+                    const index = cells.findIndex(header => IRENA_TECHNOLOGIES[technology].test(header));
+                    if (index >= 0) columns[technology] = index;
+                });
+                continue;
+            }
+
+            const [name, code, year] = cells;
+            Object.keys(columns).forEach(technology => {
+                const value = parseFloat(cells[columns[technology]]);
+                if (isNaN(value)) return;
+
+                const entity = dataset.entities[name] || (dataset.entities[name] = {});
+                const costs = entity[technology] || (entity[technology] = {});
+                costs[year] = Math.round(value * 1000 * 100) / 100; // $/kWh -> $/MWh
+                if (code) dataset.codes[code] = name;
+            });
+        }
+
+        return columns && Object.keys(dataset.entities).length > 0 ? dataset : null;
+    },
+
+    // Annual points for a series, oldest first, or null when the entity has none
+    seriesPoints(dataset, series) {
+        const { entity, technology } = parseLCOESeries(series);
+        const costs = dataset.entities[entity] || dataset.entities[dataset.codes[entity]];
+        if (!costs || !costs[technology]) return null;
+
+        return Object.keys(costs[technology]).sort().map(year => ({
+            value: costs[technology][year],
+            date: `${year}-12-31`,
+            source: 'IRENA'
+        }));
+    }
+};
+
+// ===== Lazard LCOE+ (bundled reference) =====
+// Unsubsidized US levelized cost midpoints ($/MWh) from Lazard's annual LCOE+ reports,
+// by report year. Bundled because Lazard publishes no machine-readable feed; IRENA does
+// not cover nuclear. Lazard skipped 2022 (v16 came out in April 2023).
+const LAZARD_LCOE = {
+    nuclear: {
+        2009: 123, 2010: 96, 2011: 95, 2012: 96, 2013: 104, 2014: 112, 2015: 117, 2016: 117,
+        2017: 148, 2018: 151, 2019: 155, 2020: 163, 2021: 167, 2023: 180, 2024: 182
+    },
+    solar: {
+        2009: 359, 2010: 248, 2011: 157, 2012: 125, 2013: 98, 2014: 79, 2015: 64, 2016: 55,
+        2017: 50, 2018: 43, 2019: 40, 2020: 37, 2021: 36, 2023: 60, 2024: 61
+    },
+    wind: {
+        2009: 135, 2010: 124, 2011: 71, 2012: 72, 2013: 59, 2014: 55, 2015: 47, 2016: 45,
+        2017: 42, 2018: 42, 2019: 41, 2020: 40, 2021: 38, 2023: 50, 2024: 50
+    }
+};
+
+const lazardProvider = {
+    id: 'lazard',
+    name: 'Lazard LCOE+',
+
+    // Only US figures are published; series IDs are "US:<technology>"
+    hasSeries(series) {
+        const { entity, technology } = parseLCOESeries(series);
+        return entity === 'US' && technology in LAZARD_LCOE;
+    },
+
+    dataset: LAZARD_LCOE,
+
+    seriesPoints(dataset, series) {
+        const costs = dataset[parseLCOESeries(series).technology];
+        return Object.keys(costs).sort().map(year => ({
+            value: costs[year],
+            date: `${year}-12-31`,
+            source: 'Lazard LCOE+'
+        }));
+    }
+};
+
+// ===== NYISO (wholesale electricity) =====
+// Day-ahead zonal prices (LBMP, $/MWh) from NYISO's public files; no key needed. There is
+// one CSV per day with hourly prices for every zone, and one zip of those per month.
+const NYISO_BASE_URL = 'https://mis.nyiso.com/public/csv/damlbmp';
+
+// Zones offered as wholesale hubs, by the names NYISO uses in its files
+const NYISO_ZONES = {
+    'N.Y.C.': 'NYISO Zone J (New York City)',
+    LONGIL: 'NYISO Zone K (Long Island)',
+    'HUD VL': 'NYISO Zone G (Hudson Valley)',
+    CAPITL: 'NYISO Zone F (Capital)',
+    WEST: 'NYISO Zone A (West)'
+};
+
+// Each month is a separate download, so longer ranges are cut to the most recent months
+const NYISO_MAX_HISTORY_MONTHS = 36;
+
+function nyisoFileDate(date) {
+    return date.toISOString().split('T')[0].replace(/-/g, '');
+}
+
+// Daily averages of the hourly prices for one zone, oldest first
+function nyisoDailyAverages(texts, zone) {
+    const days = {};
+    texts.forEach(text => {
+        text.split(/\r?\n/).slice(1).forEach(line => {
+            if (!line) return;
+            const [timestamp, name, , lbmp] = splitCSVLine(line);
+            const value = parseFloat(lbmp);
+            if (name !== zone || isNaN(value)) return;
+
+            // "MM/DD/YYYY HH:MM"
+            const [month, day, year] = timestamp.split(' ')[0].split('/');
+            const date = `${year}-${month}-${day}`;
+            const totals = days[date] || (days[date] = { sum: 0, count: 0 });
+            totals.sum += value;
+            totals.count++;
+        });
+    });
+
+    return Object.keys(days).sort().map(date => ({
+        value: Math.round(days[date].sum / days[date].count * 100) / 100,
+        date,
+        source: 'NYISO'
+    }));
+}
+
+const nyisoProvider = {
+    id: 'nyiso',
+    name: 'NYISO',
+    responseType: 'text',
+
+    hasSeries: series => series in NYISO_ZONES,
+
+    // Today's day-ahead file, published the afternoon before
+    latestUrl: () => `${NYISO_BASE_URL}/${nyisoFileDate(new Date())}damlbmp_zone.csv`,
+
+    parseLatest(text, series) {
+        const points = nyisoDailyAverages([text], series);
+        return points.length > 0 ? points[points.length - 1] : null;
+    },
+
+    // Daily averages whatever frequency was asked for, from one zip per month
+    historyFiles(series, { from, to }) {
+        const earliest = new Date(`${to.slice(0, 7)}-01T00:00:00Z`);
+        earliest.setUTCMonth(earliest.getUTCMonth() - (NYISO_MAX_HISTORY_MONTHS - 1));
+        const month = new Date(`${from.slice(0, 7)}-01T00:00:00Z`);
+        if (month < earliest) month.setTime(earliest.getTime());
+
+        const files = [];
+        while (month.toISOString().slice(0, 7) <= to.slice(0, 7)) {
+            files.push({
+                key: month.toISOString().slice(0, 7),
+                url: `${NYISO_BASE_URL}/${nyisoFileDate(month)}damlbmp_zone_csv.zip`,
+                responseType: 'zip'
+            });
+            month.setUTCMonth(month.getUTCMonth() + 1);
+        }
+        return files;
+    },
+
+    parseHistory(entries, series) {
+        const points = nyisoDailyAverages(entries.map(entry => entry.text), series);
+        return points.length > 0 ? points : null;
+    }
+};
+
+// ===== Yahoo Finance (unofficial, for commodities) =====
+const YAHOO_INTERVALS = { daily: '1d', weekly: '1wk', monthly: '1mo' };
+
+function yahooChart(payload) {
+    return payload.chart && payload.chart.result && payload.chart.result[0] ? payload.chart.result[0] : null;
+}
+
+// Delivery month letters in futures symbols, January (F) to December (Z)
+const FUTURES_MONTH_CODES = 'FGHJKMNQUVXZ';
+
+// Yahoo symbols for the next `count` monthly contracts of a futures root, e.g. CLZ26.NYM for
+// December 2026 WTI: [{ symbol, month: 'YYYY-MM' }]. This month's contract has usually
+// expired or is about to, so the curve starts with next month's delivery.
+function futuresContracts(root, exchange, count, from = new Date()) {
+    const contracts = [];
+    for (let i = 1; i <= count; i++) {
+        const delivery = new Date(Date.UTC(from.getUTCFullYear(), from.getUTCMonth() + i, 1));
+        const year = String(delivery.getUTCFullYear()).slice(2);
+        contracts.push({
+            symbol: `${root}${FUTURES_MONTH_CODES[delivery.getUTCMonth()]}${year}.${exchange}`,
+            month: delivery.toISOString().slice(0, 7)
+        });
+    }
+    return contracts;
+}
+
+const yahooProvider = {
+    id: 'yahoo',
+    name: 'Yahoo Finance',
+    headers: BROWSER_HEADERS,
+
+    hasSeries: series => /^[A-Z0-9=^.-]+$/.test(series),
+
+    latestUrl(symbol) {
+        return `https://query1.finance.yahoo.com/v8/finance/chart/${symbol}?interval=1d&range=1d`;
+    },
+
+    parseLatest(payload) {
+        const chart = yahooChart(payload);
+        if (!chart) return null;
+        return {
+            value: chart.meta.regularMarketPrice,
+            date: new Date().toISOString().split('T')[0],
+            source: 'Yahoo Finance'
+        };
+    },
+
+    historyUrl(symbol, { from, to, frequency }) {
+        const period1 = Math.floor(new Date(from).getTime() / 1000);
+        // period2 is exclusive, so include the whole "to" day
+        const period2 = Math.floor(new Date(to).getTime() / 1000) + 86400;
+        return `https://query1.finance.yahoo.com/v8/finance/chart/${symbol}?interval=${YAHOO_INTERVALS[frequency]}&period1=${period1}&period2=${period2}`;
+    },
+
+    parseHistory(payload) {
+        const chart = yahooChart(payload);
+        if (!chart) return null;
+        const timestamps = chart.timestamp || [];
+        const closes = (chart.indicators && chart.indicators.quote[0].close) || [];
+
+        return timestamps
+            .map((ts, i) => ({
+                value: closes[i],
+                date: new Date(ts * 1000).toISOString().split('T')[0],
+                source: 'Yahoo Finance'
+            }))
+            .filter(point => point.value != null);
+    }
+};
+
+const PROVIDER_DEFINITIONS = {
+    eia: eiaProvider,
+    fred: fredProvider,
+    irena: irenaProvider,
+    lazard: lazardProvider,
+    nyiso: nyisoProvider,
+    yahoo: yahooProvider
+};
+
+// ===== Zip Archives =====
+// Minimal reader for the monthly archives some providers publish: [{ name, text }] for
+// every file, located through the central directory. Only stored and deflated entries.
+function readZipEntries(buffer) {
+    const end = buffer.lastIndexOf(Buffer.from([0x50, 0x4b, 0x05, 0x06]));
+    if (end < 0) throw new Error('Not a zip archive');
+
+    const count = buffer.readUInt16LE(end + 10);
+    let offset = buffer.readUInt32LE(end + 16);
+    const entries = [];
+
+    for (let i = 0; i < count; i++) {
+        if (buffer.readUInt32LE(offset) !== 0x02014b50) throw new Error('Corrupt zip directory');
+        const method = buffer.readUInt16LE(offset + 10);
+        const compressedSize = buffer.readUInt32LE(offset + 20);
+        const nameLength = buffer.readUInt16LE(offset + 28);
+        const extraLength = buffer.readUInt16LE(offset + 30);
+        const commentLength = buffer.readUInt16LE(offset + 32);
+        const localOffset = buffer.readUInt32LE(offset + 42);
+        const name = buffer.toString('utf8', offset + 46, offset + 46 + nameLength);
+
+        // The local header repeats the name and may carry a different extra field
+        const dataStart = localOffset + 30 + buffer.readUInt16LE(localOffset + 26) + buffer.readUInt16LE(localOffset + 28);
+        const data = buffer.subarray(dataStart, dataStart + compressedSize);
+        if (method !== 0 && method !== 8) throw new Error(`Unsupported zip compression: ${method}`);
+
+        entries.push({ name, text: (method === 8 ? zlib.inflateRawSync(data) : data).toString('utf8') });
+        offset += 46 + nameLength + extraLength + commentLength;
+    }
+    return entries;
+}
+
+// ===== Adapters =====
+// fetch: node-fetch compatible client; cachedFetch(key, policy, fetcher) wraps upstream calls;
+// keys: API keys by provider id. Pass a fixture-backed fetch and a pass-through cachedFetch
+// to exercise an adapter offline.
+function createAdapter(definition, { fetch, cachedFetch, keys }) {
+    const apiKey = definition.apiKey ? keys[definition.apiKey] : null;
+    const isConfigured = () => !definition.apiKey || !!apiKey;
+
+    // responseType: 'json' (default), 'text' or 'zip' (the archive's files as text)
+    async function request(url, responseType = definition.responseType) {
+        const response = await fetch(url, { headers: definition.headers || {} });
+        if (!responseType || responseType === 'json') return response.json();
+
+        if (!response.ok) throw new Error(`HTTP ${response.status}`);
+        return responseType === 'zip' ? readZipEntries(await response.buffer()) : response.text();
+    }
+
+    // Response body as an async iterable of lines, so bulk files are never held whole
+    async function requestLines(url) {
+        const response = await fetch(url, { headers: definition.headers || {} });
+        if (!response.ok) throw new Error(`HTTP ${response.status}`);
+        return readline.createInterface({ input: response.body, crlfDelay: Infinity });
+    }
+
+    // The parsed bulk dataset, cached under one key for all of the provider's series
+    function loadDataset() {
+        if (definition.dataset) return definition.dataset;
+        return cachedFetch(`${definition.id}_dataset`, definition.id, async () => {
+            try {
+                return await definition.parseDataset(await requestLines(definition.datasetUrl()));
+            } catch (error) {
+                console.error(`${definition.name} dataset error:`, error.message);
+                return null;
+            }
+        });
+    }
+
+    // A dataset series with the cache markers of the dataset it came from
+    async function datasetPoints(series) {
+        const dataset = await loadDataset();
+        if (!dataset) return null;
+        const points = definition.seriesPoints(dataset, series);
+        if (!points || points.length === 0) return null;
+        return Object.assign(points, { fetchedAt: dataset.fetchedAt, cached: dataset.cached, stale: dataset.stale });
+    }
+
+    function guarded(parse, url, series, range, responseType) {
+        return async () => {
+            try {
+                return parse(await request(url, responseType), series, range);
+            } catch (error) {
+                console.error(`${definition.name} API error:`, error.message);
+                return null;
+            }
+        };
+    }
+
+    return {
+        id: definition.id,
+        name: definition.name,
+        isConfigured,
+
+        // Latest observation, or null when unavailable
+        async latest(series) {
+            if (!isConfigured()) {
+                console.log(`${definition.name} API key not configured, using fallback data`);
+                return null;
+            }
+            if (!definition.hasSeries(series)) return null;
+
+            if (definition.seriesPoints) {
+                const points = await datasetPoints(series);
+                if (!points) return null;
+                const { fetchedAt, cached, stale } = points;
+                return { ...points[points.length - 1], fetchedAt, cached, stale };
+            }
+
+            const url = definition.latestUrl(series, apiKey);
+            return cachedFetch(`${definition.id}_${series}`, definition.id,
+                guarded(definition.parseLatest, url, series));
+        },
+
+        // Observations between range.from and range.to, oldest first, or null when unavailable
+        async history(series, range) {
+            if (!isConfigured() || !definition.hasSeries(series)) return null;
+
+            const { from, to, frequency } = range;
+            if (definition.seriesPoints) {
+                // Dataset series come whole and are trimmed here, keeping the cache markers on the array
+                const points = await datasetPoints(series);
+                if (!points) return null;
+                const { fetchedAt, cached, stale } = points;
+                const inRange = points.filter(point => point.date >= from && point.date <= to);
+                return Object.assign(inRange, { fetchedAt, cached, stale });
+            }
+
+            if (definition.historyFiles) {
+                // One cache entry per file, fetched in turn since each is a bulk download
+                const parts = [];
+                for (const file of definition.historyFiles(series, range)) {
+                    const part = await cachedFetch(`${definition.id}_history_${series}_${file.key}`, definition.id,
+                        guarded(definition.parseHistory, file.url, series, range, file.responseType));
+                    if (part) parts.push(part);
+                }
+                if (parts.length === 0) return null;
+
+                const inRange = [].concat(...parts).filter(point => point.date >= from && point.date <= to);
+                return Object.assign(inRange, {
+                    fetchedAt: parts[parts.length - 1].fetchedAt,
+                    cached: parts.every(part => part.cached),
+                    stale: parts.some(part => part.stale)
+                });
+            }
+
+            // Whole calendar years are fetched and trimmed here, so overlapping ranges share
+            // an entry and clients cannot mint a cache key per from/to pair
+            const years = { from: `${from.slice(0, 4)}-01-01`, to: `${to.slice(0, 4)}-12-31`, frequency };
+            const url = definition.historyUrl(series, years, apiKey);
+            const points = await cachedFetch(`${definition.id}_history_${series}_${frequency}_${years.from}_${years.to}`,
+                definition.id, guarded(definition.parseHistory, url, series, years));
+            if (!points) return null;
+            const { fetchedAt, cached, stale } = points;
+            const inRange = points.filter(point => point.date >= from && point.date <= to);
+            return Object.assign(inRange, { fetchedAt, cached, stale });
+        }
+    };
+}
+
+function createProviders(dependencies) {
+    const adapters = {};
+    Object.keys(PROVIDER_DEFINITIONS).forEach(id => {
+        adapters[id] = createAdapter(PROVIDER_DEFINITIONS[id], dependencies);
+    });
+    return adapters;
+}
+
+module.exports = {
+    HISTORY_FREQUENCY_RANK,
+    EIA_SERIES,
+    PROVIDER_DEFINITIONS,
+    futuresContracts,
+    createAdapter,
+    createProviders
+};
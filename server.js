@@ -10,7 +10,13 @@ require('dotenv').config();
 const express = require('express');
 const cors = require('cors');
 const fetch = require('node-fetch');
+const os = require('os');
 const path = require('path');
+const projections = require('./projections');
+const { createCache, createMemoryStore, createFileStore } = require('./cache');
+const { HISTORY_FREQUENCY_RANK, futuresContracts, createProviders } = require('./providers');
+const { ALERT_CONDITIONS, createAlertStore, webhookOrigins, validateRule, validateRuleChanges, createAlertService } = require('./alerts');
+const { createObservationStore, createIngestionJob, observationSeries } = require('./ingestion');
 
 const app = express();
 const PORT = process.env.PORT || 3000;
@@ -24,330 +30,1374 @@ app.use(express.static(path.join(__dirname)));
 const EIA_API_KEY = process.env.EIA_API_KEY;
 const FRED_API_KEY = process.env.FRED_API_KEY;
 
-// Cache for API responses (5 minute TTL)
-const cache = new Map();
-const CACHE_TTL = 5 * 60 * 1000;
+// ===== Upstream Cache =====
+// Memory in front of a file store, so restarts and cold starts keep last-known-good values.
+// Vercel functions can only write to the temp directory.
+const CACHE_DIR = process.env.CACHE_DIR ||
+    (process.env.VERCEL ? path.join(os.tmpdir(), 'energy-price-cache') : path.join(__dirname, '.cache'));
 
-function getCached(key) {
-    const item = cache.get(key);
-    if (item && Date.now() - item.timestamp < CACHE_TTL) {
-        return item.data;
-    }
-    return null;
+const HOUR = 60 * 60 * 1000;
+const DAY = 24 * HOUR;
+
+// Per-provider freshness, matched to how often each upstream publishes
+const CACHE_POLICIES = {
+    eia: { ttl: HOUR, staleWhileRevalidate: 6 * HOUR, maxStale: 30 * DAY },
+    fred: { ttl: 6 * HOUR, staleWhileRevalidate: DAY, maxStale: 90 * DAY },
+    // The LCOE file is a bulk annual dataset, downloaded at most weekly
+    irena: { ttl: 7 * DAY, staleWhileRevalidate: 30 * DAY, maxStale: 730 * DAY },
+    // Day-ahead prices are set once a day; history comes in monthly archives
+    nyiso: { ttl: 6 * HOUR, staleWhileRevalidate: DAY, maxStale: 30 * DAY },
+    // Every curve asks for contracts Yahoo does not quote, so those misses are remembered briefly
+    yahoo: { ttl: 5 * 60 * 1000, staleWhileRevalidate: 15 * 60 * 1000, maxStale: 7 * DAY, missTtl: 15 * 60 * 1000 }
+};
+
+// Ingested observations, alert rules and alert history
+const DATA_DIR = process.env.DATA_DIR ||
+    (process.env.VERCEL ? path.join(os.tmpdir(), 'energy-price-data') : path.join(__dirname, '.data'));
+
+const apiCache = createCache({
+    stores: [createMemoryStore(), createFileStore(CACHE_DIR)],
+    policies: CACHE_POLICIES
+});
+
+// Cached upstream call. fetcher resolves to the data or null on failure.
+// The data carries fetchedAt and cached (served from an existing entry) for provenance;
+// last-known-good values served after a failed refresh also carry stale: true.
+// On history arrays these are set as properties, which only the server reads.
+async function cachedFetch(key, provider, fetcher) {
+    const entry = await apiCache.get(key, provider, fetcher);
+    if (!entry) return null;
+
+    const marker = { fetchedAt: entry.fetchedAt, cached: entry.cached };
+    if (entry.stale) marker.stale = true;
+    return Array.isArray(entry.data)
+        ? Object.assign(entry.data.slice(), marker)
+        : { ...entry.data, ...marker };
 }
 
-function setCache(key, data) {
-    cache.set(key, { data, timestamp: Date.now() });
+// Price for an API response, keeping the cache markers
+function priceFrom(result, value = result.value) {
+    const price = { value, date: result.date, source: result.source, fetchedAt: result.fetchedAt, cached: !!result.cached };
+    if (result.stale) price.stale = true;
+    if (result.estimated) price.estimated = true;
+    return price;
 }
 
-// ===== EIA API Integration =====
-// Documentation: https://www.eia.gov/opendata/documentation.php
-async function fetchEIAData(series) {
-    if (!EIA_API_KEY) {
-        console.log('EIA API key not configured, using fallback data');
-        return null;
+// Limits for POST /api/projections and /api/portfolio so one request cannot tie up the server
+const MAX_HORIZON_MONTHS = 120;
+const MAX_SIMULATION_DRAWS = 20000;
+const MAX_HISTOGRAM_BINS = 200;
+const MAX_PORTFOLIO_LINES = 50;
+
+function isIntegerInRange(value, min, max) {
+    return Number.isInteger(value) && value >= min && value <= max;
+}
+
+function isPlainObject(value) {
+    return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+// Registry lookups by a value from the request: own keys only, so names inherited from
+// Object.prototype ("toString", "constructor") count as unknown
+function hasOwn(object, key) {
+    return Object.prototype.hasOwnProperty.call(object, key);
+}
+
+// Error message for a projection's model inputs and overrides, or null when usable.
+// Each must be an object of numbers; model inputs must be in the ranges the model
+// declares, and overridden prices and assumptions must be positive.
+function validateProjectionOptions({ model, inputs, overrides, crossElasticities }) {
+    if (!isPlainObject(inputs)) return 'inputs must be an object';
+    const badInput = Object.keys(inputs).find(key => typeof inputs[key] !== 'number' || !isFinite(inputs[key]));
+    if (badInput) return `inputs.${badInput} must be a number`;
+    const inputError = projections.validateModelInputs(model, inputs);
+    if (inputError) return `inputs: ${inputError}`;
+
+    if (!isPlainObject(overrides)) return 'overrides must be an object';
+    const badOverride = ['currentPrice', ...projections.ASSUMPTION_KEYS].find(key => overrides[key] !== undefined &&
+        overrides[key] !== null && (typeof overrides[key] !== 'number' || !isFinite(overrides[key]) || overrides[key] <= 0));
+    if (badOverride) return `overrides.${badOverride} must be a positive number`;
+
+    if (!isPlainObject(crossElasticities)) return 'crossElasticities must be an object';
+    return null;
+}
+
+// Error message for a projection's simulation settings (true for the defaults), or null when usable
+function validateSimulation(simulation) {
+    if (simulation === true) return null;
+    if (!isPlainObject(simulation)) {
+        return 'simulation must be true or an object of settings';
+    }
+    if (simulation.draws !== undefined && !isIntegerInRange(simulation.draws, 1, MAX_SIMULATION_DRAWS)) {
+        return `simulation.draws must be an integer from 1 to ${MAX_SIMULATION_DRAWS}`;
+    }
+    if (simulation.histogramBins !== undefined && !isIntegerInRange(simulation.histogramBins, 1, MAX_HISTOGRAM_BINS)) {
+        return `simulation.histogramBins must be an integer from 1 to ${MAX_HISTOGRAM_BINS}`;
     }
+    return projections.validateSimulationSettings(simulation);
+}
 
-    const cacheKey = `eia_${series}`;
-    const cached = getCached(cacheKey);
-    if (cached) return cached;
+// ===== Providers =====
+// Adapters for EIA, FRED, IRENA, Lazard, NYISO and Yahoo Finance (see providers.js)
+const providers = createProviders({
+    fetch,
+    cachedFetch,
+    keys: { eia: EIA_API_KEY, fred: FRED_API_KEY }
+});
 
-    try {
-        // EIA API v2 endpoints
-        const endpoints = {
-            'PET.RWTC.D': 'petroleum/pri/spt/data/?frequency=daily&data[0]=value&facets[series][]=RWTC&sort[0][column]=period&sort[0][direction]=desc&length=1',
-            'NG.RNGWHHD.D': 'natural-gas/pri/sum/data/?frequency=daily&data[0]=value&facets[process][]=PNG&sort[0][column]=period&sort[0][direction]=desc&length=1',
-            'COAL.PRICE': 'coal/markets/data/?frequency=weekly&data[0]=price&sort[0][column]=period&sort[0][direction]=desc&length=1'
-        };
+// ===== Source Routing =====
+// Which provider serves each region of a source, in order of preference.
+// A region is either a list of legs or, where several benchmarks exist, a set of
+// named hubs (each with its own legs) that callers choose between with ?hub=.
+// A hub region may also list states, picked with ?state=; "{state}" in a leg's
+// series is replaced with the chosen state code.
+// A leg names a provider and series; `label` is how it is credited in dataSources
+// (default: provider name). `derivation: { factor, note }` scales a related series
+// for a region without its own benchmark; such prices are marked derived.
+// `curves` names the futures contracts (Yahoo root and exchange) behind a region's
+// benchmark, for its forward curve.
+const TTF_LEGS = [
+    { provider: 'fred', series: 'PNGASEUUSDM', label: 'FRED (EU gas, TTF)' }
+];
+const JKM_LEGS = [
+    { provider: 'yahoo', series: 'JKM=F', label: 'Yahoo Finance (JKM)' },
+    { provider: 'fred', series: 'PNGASJPUSDM', label: 'FRED (Japan LNG)' }
+];
+
+// IRENA cost legs for every region of an electricity source, after Lazard's US figures
+// where Lazard covers the technology. Countries use ISO codes; the EU has none, so it
+// goes by OWID's entity name. Regions IRENA has no figures for fall back to estimates.
+const LCOE_ENTITIES = {
+    us: 'USA',
+    world: 'World',
+    eu: 'European Union (27)',
+    uk: 'GBR',
+    japan: 'JPN',
+    china: 'CHN',
+    india: 'IND',
+    australia: 'AUS'
+};
+
+function lcoeRegions(source, technology, { irena = true } = {}) {
+    const regions = {};
+    projections.getSourceRegions(source).forEach(region => {
+        const legs = [];
+        if (region === 'us') {
+            legs.push({ provider: 'lazard', series: `US:${technology}`, label: 'Lazard LCOE+' });
+        }
+        if (irena) {
+            legs.push({
+                provider: 'irena',
+                series: `${LCOE_ENTITIES[region]}:${technology}`,
+                label: `IRENA (${projections.REGIONS[region]})`
+            });
+        }
+        if (legs.length > 0) regions[region] = legs;
+    });
+    return regions;
+}
 
-        const endpoint = endpoints[series];
-        if (!endpoint) return null;
+// Retail electricity is published for the US as a whole and for every state
+const US_STATES = {
+    US: 'U.S. average', AL: 'Alabama', AK: 'Alaska', AZ: 'Arizona', AR: 'Arkansas', CA: 'California',
+    CO: 'Colorado', CT: 'Connecticut', DE: 'Delaware', DC: 'District of Columbia', FL: 'Florida',
+    GA: 'Georgia', HI: 'Hawaii', ID: 'Idaho', IL: 'Illinois', IN: 'Indiana', IA: 'Iowa', KS: 'Kansas',
+    KY: 'Kentucky', LA: 'Louisiana', ME: 'Maine', MD: 'Maryland', MA: 'Massachusetts', MI: 'Michigan',
+    MN: 'Minnesota', MS: 'Mississippi', MO: 'Missouri', MT: 'Montana', NE: 'Nebraska', NV: 'Nevada',
+    NH: 'New Hampshire', NJ: 'New Jersey', NM: 'New Mexico', NY: 'New York', NC: 'North Carolina',
+    ND: 'North Dakota', OH: 'Ohio', OK: 'Oklahoma', OR: 'Oregon', PA: 'Pennsylvania', RI: 'Rhode Island',
+    SC: 'South Carolina', SD: 'South Dakota', TN: 'Tennessee', TX: 'Texas', UT: 'Utah', VT: 'Vermont',
+    VA: 'Virginia', WA: 'Washington', WV: 'West Virginia', WI: 'Wisconsin', WY: 'Wyoming'
+};
 
-        const url = `https://api.eia.gov/v2/${endpoint}&api_key=${EIA_API_KEY}`;
-        const response = await fetch(url);
-        const data = await response.json();
+function retailSector(name, sector) {
+    return { name, legs: [{ provider: 'eia', series: `ELEC.RETAIL.{state}.${sector}`, label: 'EIA (retail electricity)' }] };
+}
 
-        if (data.response && data.response.data && data.response.data.length > 0) {
-            const result = {
-                value: parseFloat(data.response.data[0].value),
-                date: data.response.data[0].period,
-                source: 'EIA'
-            };
-            setCache(cacheKey, result);
-            return result;
+function nyisoZone(name, zone) {
+    return { name, legs: [{ provider: 'nyiso', series: zone, label: `NYISO (${zone})` }] };
+}
+
+// Refined products: the US pump price (EIA weekly retail) or the spot price (EIA daily,
+// with the NYMEX future as a backup)
+function productHubs(retailSeries, spotLegs) {
+    return {
+        defaultHub: 'retail',
+        hubs: {
+            retail: { name: 'Retail (U.S. average)', legs: [{ provider: 'eia', series: retailSeries, label: 'EIA (retail)' }] },
+            spot: { name: 'Spot (New York Harbor)', legs: spotLegs }
         }
-    } catch (error) {
-        console.error('EIA API error:', error.message);
-    }
-    return null;
+    };
 }
 
-// ===== FRED API Integration =====
-// Documentation: https://fred.stlouisfed.org/docs/api/fred/
-async function fetchFREDData(series) {
-    if (!FRED_API_KEY) {
-        console.log('FRED API key not configured, using fallback data');
-        return null;
+const SOURCE_ROUTES = {
+    oil: {
+        regions: {
+            us: [
+                { provider: 'eia', series: 'PET.RWTC.D' },
+                { provider: 'yahoo', series: 'CL=F' }
+            ],
+            world: [
+                { provider: 'yahoo', series: 'BZ=F', label: 'Yahoo Finance (Brent)' }
+            ]
+        },
+        curves: {
+            us: { root: 'CL', exchange: 'NYM', name: 'NYMEX WTI futures' },
+            world: { root: 'BZ', exchange: 'NYM', name: 'Brent futures' }
+        }
+    },
+    'natural-gas': {
+        regions: {
+            us: [
+                { provider: 'eia', series: 'NG.RNGWHHD.D' },
+                { provider: 'yahoo', series: 'NG=F' }
+            ],
+            // International benchmarks, all quoted in USD/MMBtu
+            world: {
+                defaultHub: 'ttf',
+                hubs: {
+                    ttf: { name: 'TTF (Europe)', legs: TTF_LEGS },
+                    jkm: { name: 'JKM (Asia LNG)', legs: JKM_LEGS }
+                }
+            },
+            eu: TTF_LEGS,
+            japan: JKM_LEGS
+        },
+        curves: {
+            us: { root: 'NG', exchange: 'NYM', name: 'NYMEX Henry Hub futures' }
+        }
+    },
+    // Levelized costs are annual figures, whatever frequency was asked for.
+    // IRENA does not cover nuclear, so the US (Lazard) is the only nuclear region.
+    nuclear: {
+        regions: lcoeRegions('nuclear', 'nuclear', { irena: false })
+    },
+    // Monthly U3O8 spot in USD/lb (IMF primary commodity prices)
+    uranium: {
+        regions: {
+            world: [{ provider: 'fred', series: 'PURANUSDM', label: 'FRED (uranium spot)' }]
+        }
+    },
+    solar: {
+        regions: lcoeRegions('solar', 'solar')
+    },
+    renewables: {
+        regions: lcoeRegions('renewables', 'wind')
+    },
+    coal: {
+        regions: {
+            us: [{ provider: 'eia', series: 'COAL.PRICE' }],
+            world: [{ provider: 'yahoo', series: 'MTF=F' }],
+            australia: [{ provider: 'fred', series: 'PCOALAUUSDM', label: 'FRED (Newcastle coal)' }]
+        },
+        curves: {
+            world: { root: 'MTF', exchange: 'NYM', name: 'API2 Rotterdam coal futures' }
+        }
+    },
+    // Monthly retail prices by customer sector (the hubs), nationally or for one state
+    electricity: {
+        regions: {
+            us: {
+                defaultHub: 'residential',
+                hubs: {
+                    residential: retailSector('Residential', 'RES'),
+                    commercial: retailSector('Commercial', 'COM'),
+                    industrial: retailSector('Industrial', 'IND')
+                },
+                defaultState: 'US',
+                states: US_STATES
+            }
+        }
+    },
+    // Day-ahead zonal prices; NYISO is the ISO that publishes them openly
+    'electricity-wholesale': {
+        regions: {
+            us: {
+                defaultHub: 'nyc',
+                hubs: {
+                    nyc: nyisoZone('NYISO Zone J (New York City)', 'N.Y.C.'),
+                    'long-island': nyisoZone('NYISO Zone K (Long Island)', 'LONGIL'),
+                    'hudson-valley': nyisoZone('NYISO Zone G (Hudson Valley)', 'HUD VL'),
+                    capital: nyisoZone('NYISO Zone F (Capital)', 'CAPITL'),
+                    west: nyisoZone('NYISO Zone A (West)', 'WEST')
+                }
+            }
+        }
+    },
+    gasoline: {
+        regions: {
+            us: productHubs('PET.EMM_EPMR_PTE_NUS_DPG.W', [
+                { provider: 'eia', series: 'PET.EER_EPMRU_PF4_Y35NY_DPG.D', label: 'EIA (spot)' },
+                { provider: 'yahoo', series: 'RB=F', label: 'Yahoo Finance (RBOB futures)' }
+            ])
+        }
+    },
+    diesel: {
+        regions: {
+            us: productHubs('PET.EMD_EPD2D_PTE_NUS_DPG.W', [
+                { provider: 'eia', series: 'PET.EER_EPD2DXL0_PF4_Y35NY_DPG.D', label: 'EIA (spot)' },
+                { provider: 'yahoo', series: 'HO=F', label: 'Yahoo Finance (ULSD futures)' }
+            ])
+        }
+    },
+    // Jet fuel has no retail price; airlines buy at the Gulf Coast spot price
+    'jet-fuel': {
+        regions: {
+            us: [{ provider: 'eia', series: 'PET.EER_EPJK_PF4_RGC_DPG.D', label: 'EIA (Gulf Coast spot)' }]
+        }
+    },
+    // Residential heating oil prices are only surveyed October to March
+    'heating-oil': {
+        regions: {
+            us: productHubs('PET.W_EPD2F_PRS_NUS_DPG.W', [
+                { provider: 'eia', series: 'PET.EER_EPD2F_PF4_Y35NY_DPG.D', label: 'EIA (spot)' },
+                { provider: 'yahoo', series: 'HO=F', label: 'Yahoo Finance (ULSD futures)' }
+            ])
+        }
     }
+};
 
-    const cacheKey = `fred_${series}`;
-    const cached = getCached(cacheKey);
-    if (cached) return cached;
+// Legs for a region, picking the requested hub and state (or the defaults) where the
+// region has them. selection: { hub, state } from the request.
+function routeLegs(regionRoute, selection = {}) {
+    if (Array.isArray(regionRoute)) {
+        return { legs: regionRoute, hub: null };
+    }
+    const id = hasOwn(regionRoute.hubs, selection.hub) ? selection.hub : regionRoute.defaultHub;
+    const choice = { legs: regionRoute.hubs[id].legs, hub: id, hubName: regionRoute.hubs[id].name };
+    if (!regionRoute.states) return choice;
 
-    try {
-        const url = `https://api.stlouisfed.org/fred/series/observations?series_id=${series}&api_key=${FRED_API_KEY}&file_type=json&sort_order=desc&limit=1`;
-        const response = await fetch(url);
-        const data = await response.json();
-
-        if (data.observations && data.observations.length > 0) {
-            const obs = data.observations[0];
-            const result = {
-                value: parseFloat(obs.value),
-                date: obs.date,
-                source: 'FRED'
+    const state = hasOwn(regionRoute.states, selection.state) ? selection.state : regionRoute.defaultState;
+    return {
+        ...choice,
+        legs: choice.legs.map(leg => ({ ...leg, series: leg.series.replace('{state}', state) })),
+        hubName: `${choice.hubName}, ${regionRoute.states[state]}`,
+        state
+    };
+}
+
+// Hub (and state) choices per region, for the response and the card selectors.
+// choices: routeLegs results by region.
+function describeHubs(route, choices) {
+    const hubs = {};
+    Object.keys(route.regions).forEach(region => {
+        const regionRoute = route.regions[region];
+        if (!Array.isArray(regionRoute)) {
+            hubs[region] = {
+                selected: choices[region] ? choices[region].hub : regionRoute.defaultHub,
+                options: Object.keys(regionRoute.hubs).map(id => ({ id, name: regionRoute.hubs[id].name }))
             };
-            setCache(cacheKey, result);
-            return result;
+            if (regionRoute.states) {
+                hubs[region].states = {
+                    selected: choices[region] ? choices[region].state : regionRoute.defaultState,
+                    options: Object.keys(regionRoute.states).map(id => ({ id, name: regionRoute.states[id] }))
+                };
+            }
         }
-    } catch (error) {
-        console.error('FRED API error:', error.message);
-    }
-    return null;
+    });
+    return hubs;
 }
 
-// ===== Our World in Data Integration =====
-// Uses their GitHub-hosted data files (no API key needed)
-async function fetchOWIDData(indicator) {
-    const cacheKey = `owid_${indicator}`;
-    const cached = getCached(cacheKey);
-    if (cached) return cached;
+// routeLegs for every region the source covers, made before fetching so estimates match the choice
+function routeChoices(route, regions, selection) {
+    const choices = {};
+    regions.forEach(region => {
+        if (route.regions[region]) choices[region] = routeLegs(route.regions[region], selection);
+    });
+    return choices;
+}
 
-    try {
-        // OWID provides LCOE data via their GitHub repository
-        const url = 'https://raw.githubusercontent.com/owid/energy-data/master/owid-energy-data.json';
-        const response = await fetch(url);
-        const data = await response.json();
-
-        // Get USA data for the most recent year
-        if (data.USA) {
-            const years = Object.keys(data.USA).filter(k => !isNaN(k)).sort().reverse();
-            const latestYear = years[0];
-            const usaData = data.USA[latestYear] || data.USA;
-
-            const result = {
-                solar_lcoe: usaData.solar_electricity || 28,
-                wind_lcoe: usaData.wind_electricity || 31,
-                nuclear_lcoe: usaData.nuclear_electricity || 33,
-                date: latestYear || new Date().getFullYear().toString(),
-                source: 'Our World in Data'
-            };
-            setCache(cacheKey, result);
-            return result;
+// Walk a region's legs until one yields data: { data, label, leg } or null.
+// fetchLeg(adapter, leg) loads a leg and resolves to null when it has nothing.
+// Each leg tried is logged to attempts as { provider, ok }; stale cache hits count as failures.
+async function resolveRegion(legs, fetchLeg, attempts = []) {
+    for (const leg of legs) {
+        const adapter = providers[leg.provider];
+        const data = await fetchLeg(adapter, leg);
+        attempts.push({ provider: leg.provider, ok: !!data && !data.stale });
+        if (data) {
+            return { data, label: leg.label || adapter.name, leg };
         }
-    } catch (error) {
-        console.error('OWID API error:', error.message);
     }
     return null;
 }
 
-// ===== Yahoo Finance API (Unofficial - for commodities) =====
-async function fetchYahooFinance(symbol) {
-    const cacheKey = `yahoo_${symbol}`;
-    const cached = getCached(cacheKey);
-    if (cached) return cached;
+// A leg's value after its derivation, if it has one
+function deriveValue(leg, value) {
+    return leg.derivation ? value * leg.derivation.factor : value;
+}
 
-    try {
-        const url = `https://query1.finance.yahoo.com/v8/finance/chart/${symbol}?interval=1d&range=1d`;
-        const response = await fetch(url, {
-            headers: {
-                'User-Agent': 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36'
-            }
+async function fetchLatestLeg(adapter, leg) {
+    const result = await adapter.latest(leg.series);
+    return result ? priceFrom(result, deriveValue(leg, result.value)) : null;
+}
+
+function historyLegFetcher(range) {
+    return async (adapter, leg) => {
+        const points = await adapter.history(leg.series, range);
+        if (!points || points.length === 0) return null;
+        if (!leg.derivation) return points;
+        return Object.assign(points.map(point => ({ ...point, value: deriveValue(leg, point.value) })), {
+            fetchedAt: points.fetchedAt,
+            cached: points.cached,
+            stale: points.stale
         });
-        const data = await response.json();
-
-        if (data.chart && data.chart.result && data.chart.result[0]) {
-            const quote = data.chart.result[0].meta;
-            const result = {
-                value: quote.regularMarketPrice,
-                date: new Date().toISOString().split('T')[0],
-                source: 'Yahoo Finance'
-            };
-            setCache(cacheKey, result);
-            return result;
-        }
-    } catch (error) {
-        console.error('Yahoo Finance error:', error.message);
+    };
+}
+
+// ===== Provenance =====
+// Where each price came from and how far to trust it. Quality starts at 100 and loses
+// points for stale, derived and old observations; estimates score 10.
+const PROVENANCE_AGE_PENALTIES = [
+    { days: 400, penalty: 40 }, // Annual series a year behind
+    { days: 45, penalty: 25 },
+    { days: 7, penalty: 10 }
+];
+
+function legProvenance(leg, point) {
+    return {
+        provider: leg.provider,
+        providerName: providers[leg.provider].name,
+        series: leg.series,
+        label: leg.label || providers[leg.provider].name,
+        observedAt: point.date,
+        fetchedAt: point.fetchedAt || null,
+        cached: !!point.cached,
+        stale: !!point.stale,
+        derived: !!leg.derivation,
+        derivation: leg.derivation ? leg.derivation.note : null,
+        estimated: !!point.estimated
+    };
+}
+
+function estimatedProvenance(fallback) {
+    return {
+        provider: 'fallback',
+        providerName: 'Fallback estimates',
+        series: null,
+        label: fallback.source,
+        observedAt: fallback.date,
+        fetchedAt: null,
+        cached: false,
+        stale: false,
+        derived: false,
+        derivation: null,
+        estimated: true
+    };
+}
+
+// Adds age (ms since fetch) and quality, both relative to now
+function scoreProvenance(provenance, now = Date.now()) {
+    const age = provenance.fetchedAt ? now - new Date(provenance.fetchedAt).getTime() : null;
+    let quality = 10;
+
+    if (!provenance.estimated) {
+        const observedDays = (now - new Date(provenance.observedAt).getTime()) / DAY;
+        const agePenalty = PROVENANCE_AGE_PENALTIES.find(rule => observedDays > rule.days);
+        quality = 100 -
+            (provenance.stale ? 40 : 0) -
+            (provenance.derived ? 20 : 0) -
+            (agePenalty ? agePenalty.penalty : 0);
     }
-    return null;
+
+    return { ...provenance, age, quality: Math.max(quality, 0) };
 }
 
 // ===== Fallback Data (current market estimates) =====
-function getFallbackData(source) {
+// Regions, estimates and units come from the shared source definitions in projections.js.
+// choices (routeLegs results by region) pick a hub's own estimate where it has one.
+function getFallbackData(source, choices = {}) {
     const now = new Date().toISOString().split('T')[0];
+    const sourceConfig = projections.ENERGY_SOURCES[source];
+    const regions = projections.getSourceRegions(source);
 
-    const fallbackPrices = {
-        oil: { us: 74.50, world: 78.80, usUnit: '/barrel', worldUnit: '/barrel' },
-        'natural-gas': { us: 3.15, world: 12.40, usUnit: '/MMBtu', worldUnit: '/MMBtu' },
-        nuclear: { us: 31.00, world: 35.00, usUnit: '/MWh', worldUnit: '/MWh' },
-        solar: { us: 28.00, world: 32.00, usUnit: '/MWh', worldUnit: '/MWh' },
-        renewables: { us: 31.00, world: 36.00, usUnit: '/MWh', worldUnit: '/MWh' },
-        coal: { us: 140.00, world: 120.00, usUnit: '/short ton', worldUnit: '/metric ton' }
-    };
+    const prices = {};
+    const units = {};
+    regions.forEach(region => {
+        prices[region] = sourceConfig
+            ? projections.getFallbackPrice(source, region, choices[region] && choices[region].hub)
+            : undefined;
+        units[region] = projections.getRegionUnit(source, region);
+    });
 
     return {
-        ...fallbackPrices[source],
+        regions,
+        prices,
+        units,
         date: now,
         source: 'Estimated (API keys not configured)',
         isFallback: true
     };
 }
 
+// Fallback points are marked estimated so clients can tell them apart region by region
+function fallbackPoint(fallback, region, source = fallback.source) {
+    return {
+        value: fallback.prices[region],
+        date: fallback.date,
+        source,
+        estimated: true,
+        provenance: scoreProvenance(estimatedProvenance(fallback))
+    };
+}
+
 // ===== API Endpoints =====
 
-// Get all energy prices for a specific source
-app.get('/api/prices/:source', async (req, res) => {
-    const { source } = req.params;
+// Express 4 does not catch a rejected async handler; this answers it with a JSON 500 instead
+function asyncRoute(handler) {
+    return (req, res, next) => handler(req, res, next).catch(error => {
+        console.error(`${req.method} ${req.path} failed:`, error);
+        if (res.headersSent) return next(error);
+        res.status(500).json({ error: error.message });
+    });
+}
+
+// Current price for every region a source covers, straight from the upstream providers,
+// with fallbacks filled in. The response carries `regions` (display order) and one key per
+// region id. options.hub picks the benchmark for regions that have several, and
+// options.state the state for regions priced per state.
+// Upstream legs tried are logged to attempts (see resolveRegion).
+async function fetchSourcePrices(source, options = {}, attempts = []) {
     console.log(`Fetching prices for: ${source}`);
 
-    let usPrice = null;
-    let worldPrice = null;
-    let sources = [];
+    const route = hasOwn(SOURCE_ROUTES, source) ? SOURCE_ROUTES[source] : { regions: {} };
+    const choices = routeChoices(route, projections.getSourceRegions(source), options);
+    const fallback = getFallbackData(source, choices);
+    const prices = {};
+    const sources = [];
 
     try {
-        switch (source) {
-            case 'oil':
-                // WTI Crude Oil
-                const eiaOil = await fetchEIAData('PET.RWTC.D');
-                const yahooOil = await fetchYahooFinance('CL=F');
-                const yahooBrent = await fetchYahooFinance('BZ=F');
-
-                if (eiaOil) {
-                    usPrice = { value: eiaOil.value, date: eiaOil.date, source: eiaOil.source };
-                    sources.push('EIA');
-                } else if (yahooOil) {
-                    usPrice = { value: yahooOil.value, date: yahooOil.date, source: yahooOil.source };
-                    sources.push('Yahoo Finance');
-                }
+        // Regions hit different upstreams, so they are fetched side by side
+        const matches = await Promise.all(fallback.regions.map(async region => {
+            if (!choices[region]) return null;
 
-                if (yahooBrent) {
-                    worldPrice = { value: yahooBrent.value, date: yahooBrent.date, source: yahooBrent.source };
-                    sources.push('Yahoo Finance (Brent)');
-                }
-                break;
-
-            case 'natural-gas':
-                // Henry Hub Natural Gas
-                const eiaNatGas = await fetchEIAData('NG.RNGWHHD.D');
-                const yahooNatGas = await fetchYahooFinance('NG=F');
-
-                if (eiaNatGas) {
-                    usPrice = { value: eiaNatGas.value, date: eiaNatGas.date, source: eiaNatGas.source };
-                    sources.push('EIA');
-                } else if (yahooNatGas) {
-                    usPrice = { value: yahooNatGas.value, date: yahooNatGas.date, source: yahooNatGas.source };
-                    sources.push('Yahoo Finance');
-                }
+            const { legs, hub, hubName, state } = choices[region];
+            const match = await resolveRegion(legs, fetchLatestLeg, attempts);
+            if (match) {
+                const price = { ...match.data, provenance: scoreProvenance(legProvenance(match.leg, match.data)) };
+                prices[region] = hub ? { ...price, hub, benchmark: hubName } : price;
+                if (state) prices[region].state = state;
+            }
+            return match;
+        }));
+        matches.filter(Boolean).forEach(match => sources.push(match.label));
 
-                // World LNG prices (estimated multiplier from Henry Hub)
-                if (usPrice) {
-                    worldPrice = {
-                        value: usPrice.value * 3.5, // LNG typically trades at premium
-                        date: usPrice.date,
-                        source: 'Calculated from US price'
-                    };
-                }
-                break;
+        const response = {
+            source: source,
+            timestamp: new Date().toISOString(),
+            regions: fallback.regions
+        };
 
-            case 'nuclear':
-                // Nuclear LCOE from OWID
-                const owidNuclear = await fetchOWIDData('nuclear');
-                const fredUranium = await fetchFREDData('PURANUSDM');
+        // Use fallback for any region without live data
+        fallback.regions.forEach(region => {
+            response[region] = prices[region] || fallbackPoint(fallback, region);
+        });
 
-                if (owidNuclear) {
-                    usPrice = { value: owidNuclear.nuclear_lcoe, date: owidNuclear.date, source: owidNuclear.source };
-                    worldPrice = { value: owidNuclear.nuclear_lcoe * 1.1, date: owidNuclear.date, source: owidNuclear.source };
-                    sources.push('Our World in Data');
-                }
+        // Per-region detail is in each price's provenance; these summarize the response
+        const estimatedRegions = fallback.regions.filter(region => response[region].estimated);
+        Object.assign(response, {
+            units: fallback.units,
+            dataSources: sources.length > 0 ? sources : ['Fallback estimates'],
+            // True when any region is an estimate, not only when every one is
+            isFallback: estimatedRegions.length > 0,
+            estimatedRegions,
+            // Served from last-known-good cache because the upstream refresh failed
+            stale: fallback.regions.some(region => prices[region] && prices[region].stale),
+            hubs: describeHubs(route, choices)
+        });
 
-                if (fredUranium) {
-                    sources.push('FRED');
-                }
-                break;
+        console.log(`Response for ${source}:`, JSON.stringify(response, null, 2));
+        return response;
 
-            case 'solar':
-                // Solar LCOE
-                const owidSolar = await fetchOWIDData('solar');
+    } catch (error) {
+        console.error('Error fetching prices:', error);
+        const response = {
+            source: source,
+            timestamp: new Date().toISOString(),
+            regions: fallback.regions
+        };
+        fallback.regions.forEach(region => {
+            response[region] = fallbackPoint(fallback, region, 'Fallback');
+        });
+        return Object.assign(response, {
+            units: fallback.units,
+            dataSources: ['Fallback estimates'],
+            isFallback: true,
+            estimatedRegions: fallback.regions,
+            error: error.message
+        });
+    }
+}
 
-                if (owidSolar) {
-                    usPrice = { value: owidSolar.solar_lcoe, date: owidSolar.date, source: owidSolar.source };
-                    worldPrice = { value: owidSolar.solar_lcoe * 1.15, date: owidSolar.date, source: owidSolar.source };
-                    sources.push('Our World in Data');
-                }
-                break;
+// Recompute provenance age and quality for a stored response at serve time
+function withCurrentProvenance(response) {
+    const refreshed = { ...response };
+    response.regions.forEach(region => {
+        const price = response[region];
+        if (price && price.provenance) {
+            refreshed[region] = { ...price, provenance: scoreProvenance(price.provenance) };
+        }
+    });
+    return refreshed;
+}
 
-            case 'renewables':
-                // Wind and other renewables LCOE
-                const owidWind = await fetchOWIDData('wind');
+// ===== Crack Spreads =====
+// Refined product prices carry their spread over crude, against the price the oil
+// source currently serves for the product's crude benchmark. Retail hubs get a retail
+// margin instead of a crack spread (see projections.getCrackSpread).
+async function withCrackSpreads(response) {
+    const sourceConfig = projections.ENERGY_SOURCES[response.source];
+    if (!sourceConfig || !sourceConfig.crude) return response;
 
-                if (owidWind) {
-                    usPrice = { value: owidWind.wind_lcoe, date: owidWind.date, source: owidWind.source };
-                    worldPrice = { value: owidWind.wind_lcoe * 1.15, date: owidWind.date, source: owidWind.source };
-                    sources.push('Our World in Data');
-                }
-                break;
+    const crudeQuote = (await getSourcePrices(sourceConfig.crude.source))[sourceConfig.crude.region];
+    const withSpreads = { ...response };
+    response.regions.forEach(region => {
+        const price = response[region];
+        // Estimates carry no hub of their own, so the selected one is read from the response
+        const hub = response.hubs && response.hubs[region] ? response.hubs[region].selected : null;
+        const crack = projections.getCrackSpread(response.source, price.value, crudeQuote.value, hub);
+        if (crack) {
+            withSpreads[region] = {
+                ...price,
+                crack: { ...crack, crudeDate: crudeQuote.date, estimated: !!(price.estimated || crudeQuote.estimated) }
+            };
+        }
+    });
+    return withSpreads;
+}
 
-            case 'coal':
-                // Thermal Coal
-                const eiaCoal = await fetchEIAData('COAL.PRICE');
-                const yahooCoal = await fetchYahooFinance('MTF=F');
+// ===== Ingestion =====
+// A background job refreshes every source into the observation store and requests are
+// served from there. A target the job has not reached yet (cold start) is fetched once
+// on demand; one older than INGESTION_MAX_AGE is refreshed in the background, which keeps
+// serverless deployments without a running schedule current.
+const INGESTION_INTERVAL_MINUTES = parseFloat(process.env.INGESTION_INTERVAL_MINUTES) || 15;
+const INGESTION_MAX_AGE = 3 * INGESTION_INTERVAL_MINUTES * 60 * 1000;
 
-                if (eiaCoal) {
-                    usPrice = { value: eiaCoal.value, date: eiaCoal.date, source: eiaCoal.source };
-                    sources.push('EIA');
-                }
+const observationStore = createObservationStore(path.join(DATA_DIR, 'observations.json'));
 
-                if (yahooCoal) {
-                    worldPrice = { value: yahooCoal.value, date: yahooCoal.date, source: yahooCoal.source };
-                    sources.push('Yahoo Finance');
-                }
-                break;
-        }
+// One target per source, benchmark and state: defaults are left out of the key, so the
+// default hub of the US average is stored under the source id. selection: { hub, state }.
+function ingestionTarget(source, selection = {}) {
+    const route = SOURCE_ROUTES[source];
+    const hubRegion = Object.values(route.regions).find(regionRoute => !Array.isArray(regionRoute));
+    const target = { key: source, source, hub: null, state: null };
+    if (!hubRegion) return target;
+
+    const { hub, state } = selection;
+    if (hub && hasOwn(hubRegion.hubs, hub) && hub !== hubRegion.defaultHub) target.hub = hub;
+    if (state && hubRegion.states && hasOwn(hubRegion.states, state) && state !== hubRegion.defaultState) target.state = state;
+    target.key = [source, target.hub, target.state].filter(Boolean).join(':');
+    return target;
+}
 
-        // Use fallback if no live data available
-        const fallback = getFallbackData(source);
+// Every benchmark is ingested on schedule; single states are fetched when first asked for
+function ingestionTargets() {
+    const targets = [];
+    Object.keys(SOURCE_ROUTES).forEach(source => {
+        targets.push(ingestionTarget(source));
+        Object.values(SOURCE_ROUTES[source].regions)
+            .filter(regionRoute => !Array.isArray(regionRoute))
+            .forEach(regionRoute => {
+                Object.keys(regionRoute.hubs)
+                    .filter(hub => hub !== regionRoute.defaultHub)
+                    .forEach(hub => targets.push(ingestionTarget(source, { hub })));
+            });
+    });
+    return targets;
+}
+
+const ingestionJob = createIngestionJob({
+    store: observationStore,
+    targets: ingestionTargets,
+    fetchTarget: async target => {
+        const attempts = [];
+        const response = await fetchSourcePrices(target.source, { hub: target.hub, state: target.state }, attempts);
+        return { response, attempts };
+    }
+});
+
+// Current prices for a source, served from the observation store (same shape as
+// fetchSourcePrices, plus ingestedAt and, for refined products, crack spreads)
+async function getSourcePrices(source, options = {}) {
+    if (!hasOwn(SOURCE_ROUTES, source)) return fetchSourcePrices(source, options);
+
+    const target = ingestionTarget(source, options);
+    const snapshot = await observationStore.getSnapshot(target.key);
+    if (!snapshot) {
+        const response = await ingestionJob.runTarget(target);
+        return withCrackSpreads({ ...withCurrentProvenance(response), ingestedAt: new Date().toISOString() });
+    }
+
+    if (Date.now() - new Date(snapshot.ingestedAt).getTime() > INGESTION_MAX_AGE) {
+        ingestionJob.runTarget(target).catch(error => {
+            console.error(`Background refresh failed for ${target.key}:`, error.message);
+        });
+    }
+    return withCrackSpreads({ ...withCurrentProvenance(snapshot.data), ingestedAt: snapshot.ingestedAt });
+}
+
+// Ingested observations for every region of a source, oldest first. Query: hub, state
+app.get('/api/observations/:source', asyncRoute(async (req, res) => {
+    const { source } = req.params;
+    if (!hasOwn(SOURCE_ROUTES, source)) {
+        return res.status(404).json({ error: `Unknown energy source: ${source}` });
+    }
+
+    const target = ingestionTarget(source, { hub: req.query.hub, state: req.query.state });
+    const response = { source, hub: target.hub, state: target.state, regions: projections.getSourceRegions(source) };
+    for (const region of response.regions) {
+        response[region] = await observationStore.getObservations(observationSeries(target, region));
+    }
+    res.json(response);
+}));
+
+// Ingest every source now (for cron-driven deployments); responds with the run summary
+app.post('/api/ingestion/run', asyncRoute(async (req, res) => {
+    try {
+        res.json(await ingestionJob.run());
+    } catch (error) {
+        console.error('Ingestion run failed:', error);
+        res.status(500).json({ error: error.message });
+    }
+}));
+
+// Get all energy prices for a specific source
+// Query: hub (benchmark for regions with several, e.g. ttf or jkm for natural gas),
+// state (two-letter code for sources priced per state, e.g. electricity)
+app.get('/api/prices/:source', asyncRoute(async (req, res) => {
+    const { source } = req.params;
+    if (!hasOwn(projections.ENERGY_SOURCES, source)) {
+        return res.status(404).json({ error: `Unknown energy source: ${source}` });
+    }
+    res.json(await getSourcePrices(source, { hub: req.query.hub, state: req.query.state }));
+}));
+
+// Oldest series the upstreams publish (EIA WTI spot starts in 1986); the page's Max range starts here
+const HISTORY_START = '1986-01-01';
+
+// Get historical price series for a specific source
+// Query: from/to (YYYY-MM-DD, default last 12 months), frequency (daily|weekly|monthly), hub
+app.get('/api/history/:source', asyncRoute(async (req, res) => {
+    const { source } = req.params;
+    const frequency = req.query.frequency || 'daily';
+    const today = new Date().toISOString().split('T')[0];
+    const to = req.query.to || today;
+    const defaultFrom = new Date(to);
+    defaultFrom.setFullYear(defaultFrom.getFullYear() - 1);
+    const from = req.query.from || defaultFrom.toISOString().split('T')[0];
+
+    if (!hasOwn(SOURCE_ROUTES, source)) {
+        return res.status(404).json({ error: `Unknown energy source: ${source}` });
+    }
+    if (!hasOwn(HISTORY_FREQUENCY_RANK, frequency)) {
+        return res.status(400).json({ error: `Unsupported frequency: ${frequency}` });
+    }
+    if (!isISODate(from) || !isISODate(to) || from > to) {
+        return res.status(400).json({ error: 'from and to must be YYYY-MM-DD dates with from <= to' });
+    }
+
+    // Only dates with published prices are asked for, which also bounds the upstream cache keys
+    const clamp = date => (date < HISTORY_START ? HISTORY_START : date > today ? today : date);
+    res.json(await getSourceHistory(source, { from: clamp(from), to: clamp(to), frequency },
+        { hub: req.query.hub, state: req.query.state }));
+}));
+
+// Series for every region of a source over a date range, or null for an unknown source
+async function getSourceHistory(source, range, options = {}) {
+    const { from, to, frequency } = range;
+    console.log(`Fetching ${frequency} history for: ${source} (${from} to ${to})`);
+
+    if (!hasOwn(SOURCE_ROUTES, source)) return null;
+    const route = SOURCE_ROUTES[source];
+
+    const choices = routeChoices(route, projections.getSourceRegions(source), options);
+    const fallback = getFallbackData(source, choices);
+    const series = {};
+    const provenance = {};
+    const sources = [];
+
+    try {
+        const fetchHistoryLeg = historyLegFetcher(range);
+        for (const region of fallback.regions) {
+            if (!choices[region]) continue;
+
+            const match = await resolveRegion(choices[region].legs, fetchHistoryLeg);
+            if (match) {
+                series[region] = match.data;
+                const { fetchedAt, cached, stale } = match.data;
+                const latest = match.data[match.data.length - 1];
+                provenance[region] = scoreProvenance(legProvenance(match.leg, { date: latest.date, fetchedAt, cached, stale }));
+                sources.push(match.label);
+            }
+        }
 
         const response = {
             source: source,
             timestamp: new Date().toISOString(),
-            us: usPrice || { value: fallback.us, date: fallback.date, source: fallback.source },
-            world: worldPrice || { value: fallback.world, date: fallback.date, source: fallback.source },
-            units: {
-                us: fallback.usUnit,
-                world: fallback.worldUnit
-            },
-            dataSources: sources.length > 0 ? sources : ['Fallback estimates'],
-            isFallback: !usPrice && !worldPrice
+            from: from,
+            to: to,
+            frequency: frequency,
+            regions: fallback.regions
         };
 
-        console.log(`Response for ${source}:`, JSON.stringify(response, null, 2));
-        res.json(response);
+        // Without live history, fall back to today's estimate as a single point
+        fallback.regions.forEach(region => {
+            response[region] = series[region] || [fallbackPoint(fallback, region)];
+            if (!series[region]) provenance[region] = response[region][0].provenance;
+        });
+
+        const estimatedRegions = fallback.regions.filter(region => !series[region]);
+        return Object.assign(response, {
+            units: fallback.units,
+            dataSources: sources.length > 0 ? sources : ['Fallback estimates'],
+            // Lineage of each region's series, dated by its latest point
+            provenance,
+            isFallback: estimatedRegions.length > 0,
+            estimatedRegions,
+            stale: fallback.regions.some(region => series[region] && series[region].stale),
+            hubs: describeHubs(route, choices)
+        });
 
     } catch (error) {
-        console.error('Error fetching prices:', error);
-        const fallback = getFallbackData(source);
-        res.json({
+        console.error('Error fetching history:', error);
+        const response = {
             source: source,
             timestamp: new Date().toISOString(),
-            us: { value: fallback.us, date: fallback.date, source: 'Fallback' },
-            world: { value: fallback.world, date: fallback.date, source: 'Fallback' },
-            units: { us: fallback.usUnit, world: fallback.worldUnit },
+            from: from,
+            to: to,
+            frequency: frequency,
+            regions: fallback.regions
+        };
+        const provenance = {};
+        fallback.regions.forEach(region => {
+            response[region] = [fallbackPoint(fallback, region, 'Fallback')];
+            provenance[region] = response[region][0].provenance;
+        });
+        return Object.assign(response, {
+            units: fallback.units,
             dataSources: ['Fallback estimates'],
+            provenance,
             isFallback: true,
+            estimatedRegions: fallback.regions,
             error: error.message
         });
     }
+}
+
+function isISODate(value) {
+    return /^\d{4}-\d{2}-\d{2}$/.test(value) && !isNaN(new Date(value).getTime());
+}
+
+// ===== Forward Curves =====
+// Monthly futures prices for the regions whose benchmark trades them, one cached
+// Yahoo request per contract. Contract quotes are fetched a few at a time across all
+// curve requests, so a cold curve does not open dozens of connections at once.
+const MAX_CURVE_MONTHS = 36;
+const CURVE_FETCH_CONCURRENCY = 4;
+
+// Wraps tasks so at most `limit` of them run at once; the rest wait their turn
+function createLimiter(limit) {
+    let active = 0;
+    const queue = [];
+
+    function next() {
+        if (active >= limit || queue.length === 0) return;
+        active++;
+        const { task, resolve, reject } = queue.shift();
+        Promise.resolve()
+            .then(task)
+            .then(resolve, reject)
+            .finally(() => {
+                active--;
+                next();
+            });
+    }
+
+    return task => new Promise((resolve, reject) => {
+        queue.push({ task, resolve, reject });
+        next();
+    });
+}
+
+const limitCurveFetch = createLimiter(CURVE_FETCH_CONCURRENCY);
+
+function sourceCurves(source) {
+    return (hasOwn(SOURCE_ROUTES, source) && SOURCE_ROUTES[source].curves) || {};
+}
+
+// Curve for every region of a source that has one, beside the region's current spot price:
+// { source, timestamp, months, regions, [region]: { benchmark, unit, spot, points, structure, stale } }.
+// points are { symbol, month, value, date }, nearest delivery first; contracts Yahoo does
+// not quote are left out, so a region with none has no points and a null structure.
+async function getForwardCurves(source, months = MAX_CURVE_MONTHS) {
+    const curves = sourceCurves(source);
+    const regions = Object.keys(curves);
+    const prices = regions.length > 0 ? await getSourcePrices(source) : null;
+    const response = { source, timestamp: new Date().toISOString(), months, regions };
+
+    await Promise.all(regions.map(async region => {
+        const curve = curves[region];
+        const contracts = futuresContracts(curve.root, curve.exchange, months);
+        const quotes = await Promise.all(contracts.map(contract =>
+            limitCurveFetch(() => providers.yahoo.latest(contract.symbol))));
+        const points = contracts
+            .map((contract, i) => quotes[i] && quotes[i].value > 0
+                ? { ...contract, value: quotes[i].value, date: quotes[i].date }
+                : null)
+            .filter(Boolean);
+
+        response[region] = {
+            benchmark: curve.name,
+            unit: projections.getRegionUnit(source, region),
+            spot: priceFrom(prices[region]),
+            points,
+            structure: projections.describeCurveStructure(points),
+            stale: quotes.some(quote => quote && quote.stale)
+        };
+    }));
+    return response;
+}
+
+// Futures curve for each region of a source that has one. Query: months (1 to 36, default 36)
+app.get('/api/curve/:source', asyncRoute(async (req, res) => {
+    const { source } = req.params;
+    const months = req.query.months === undefined ? MAX_CURVE_MONTHS : Number(req.query.months);
+
+    if (!hasOwn(projections.ENERGY_SOURCES, source)) {
+        return res.status(404).json({ error: `Unknown energy source: ${source}` });
+    }
+    if (!Number.isInteger(months) || months < 1 || months > MAX_CURVE_MONTHS) {
+        return res.status(400).json({ error: `months must be an integer from 1 to ${MAX_CURVE_MONTHS}` });
+    }
+
+    try {
+        res.json(await getForwardCurves(source, months));
+    } catch (error) {
+        console.error('Error fetching forward curve:', error);
+        res.status(500).json({ error: error.message });
+    }
+}));
+
+// ===== Exchange Rates =====
+// Units of each display currency per USD, from FRED daily reference rates
+async function getExchangeRates() {
+    const rates = { USD: 1 };
+    const dates = {};
+    let live = 0;
+    let stale = false;
+
+    for (const [currency, definition] of Object.entries(projections.CURRENCIES)) {
+        if (!definition.fredSeries) continue;
+
+        const result = await providers.fred.latest(definition.fredSeries);
+        if (result && result.value > 0) {
+            rates[currency] = definition.inverted ? 1 / result.value : result.value;
+            dates[currency] = result.date;
+            stale = stale || !!result.stale;
+            live++;
+        } else {
+            rates[currency] = projections.FALLBACK_FX_RATES[currency];
+        }
+    }
+
+    return {
+        base: 'USD',
+        timestamp: new Date().toISOString(),
+        rates,
+        dates,
+        source: live > 0 ? 'FRED' : 'Fallback estimates',
+        isFallback: live === 0,
+        stale
+    };
+}
+
+app.get('/api/fx', asyncRoute(async (req, res) => {
+    res.json(await getExchangeRates());
+}));
+
+// ===== Price Snapshots =====
+// Percent change from the last observation at least `days` before the latest one
+function changeOver(points, days) {
+    if (!points || points.length < 2) return null;
+
+    const latest = points[points.length - 1];
+    const cutoff = new Date(latest.date);
+    cutoff.setDate(cutoff.getDate() - days);
+    const cutoffDate = cutoff.toISOString().split('T')[0];
+
+    const base = points.filter(point => point.date <= cutoffDate).pop();
+    if (!base || !base.value) return null;
+    return (latest.value / base.value - 1) * 100;
+}
+
+// Current price, day/week change and freshness for each region of a source.
+// options.hub picks the benchmark, as for /api/prices/:source
+async function getPriceSnapshot(source, options = {}) {
+    const to = new Date();
+    const from = new Date(to);
+    from.setDate(from.getDate() - 14);
+
+    const [prices, history] = await Promise.all([
+        getSourcePrices(source, options),
+        getSourceHistory(source, {
+            from: from.toISOString().split('T')[0],
+            to: to.toISOString().split('T')[0],
+            frequency: 'daily'
+        }, options)
+    ]);
+
+    const regions = {};
+    prices.regions.forEach(region => {
+        const price = prices[region];
+        // Estimated series have no movement worth reporting
+        const points = history ? history[region].filter(point => !point.estimated) : null;
+
+        regions[region] = {
+            value: price.value,
+            date: price.date,
+            source: price.source,
+            unit: prices.units[region],
+            estimated: !!price.estimated,
+            stale: !!price.stale,
+            provenance: price.provenance,
+            dayChange: price.estimated ? null : changeOver(points, 1),
+            weekChange: price.estimated ? null : changeOver(points, 7)
+        };
+    });
+
+    return {
+        source,
+        regions,
+        isFallback: prices.isFallback,
+        stale: !!prices.stale
+    };
+}
+
+// ===== Dashboard =====
+// Regions shown on the landing page for every source
+const DASHBOARD_REGIONS = ['us', 'world'];
+
+async function getDashboardEntry(source) {
+    const snapshot = await getPriceSnapshot(source);
+    const regions = {};
+    // US-only sources such as electricity have no World quote
+    DASHBOARD_REGIONS.filter(region => snapshot.regions[region]).forEach(region => {
+        regions[region] = snapshot.regions[region];
+    });
+
+    return {
+        ...snapshot,
+        name: projections.ENERGY_SOURCES[source].name,
+        regions
+    };
+}
+
+// Every source with a landing card at a glance; alternative bases such as uranium have none
+app.get('/api/dashboard', asyncRoute(async (req, res) => {
+    const sources = Object.keys(projections.ENERGY_SOURCES).filter(source => !projections.ENERGY_SOURCES[source].parent);
+    const entries = await Promise.all(sources.map(getDashboardEntry));
+    res.json({
+        timestamp: new Date().toISOString(),
+        sources: entries
+    });
+}));
+
+// ===== Price Alerts =====
+// Rules and fired alerts live in DATA_DIR. The schedule only runs in a long-lived server;
+// serverless deployments call POST /api/alerts/evaluate from a cron job instead.
+const ALERT_INTERVAL_MINUTES = parseFloat(process.env.ALERT_INTERVAL_MINUTES) || 15;
+
+// Origins rule webhooks may use besides ALERT_WEBHOOK_URL's, comma-separated
+const ALERT_WEBHOOK_ORIGINS = webhookOrigins([process.env.ALERT_WEBHOOK_URL]
+    .concat((process.env.ALERT_WEBHOOK_ALLOWLIST || '').split(',').map(url => url.trim())));
+
+const alertService = createAlertService({
+    store: createAlertStore(path.join(DATA_DIR, 'alerts.json')),
+    getQuote: async (source, region, hub) => {
+        const snapshot = await getPriceSnapshot(source, { hub });
+        return snapshot.regions[region];
+    },
+    fetch,
+    webhookUrl: process.env.ALERT_WEBHOOK_URL || null,
+    allowedWebhooks: ALERT_WEBHOOK_ORIGINS
 });
 
+const alertRuleContext = {
+    sources: Object.keys(projections.ENERGY_SOURCES),
+    regionsFor: projections.getSourceRegions,
+    hubsFor: (source, region) => {
+        const regionRoute = hasOwn(SOURCE_ROUTES, source) && SOURCE_ROUTES[source].regions[region];
+        return regionRoute && !Array.isArray(regionRoute) ? Object.keys(regionRoute.hubs) : null;
+    },
+    allowedWebhooks: ALERT_WEBHOOK_ORIGINS
+};
+
+// Body: { source, region, hub, condition, threshold, name, webhookUrl, enabled }
+// e.g. { source: 'oil', region: 'us', condition: 'above', threshold: 85 }
+app.get('/api/alerts/rules', asyncRoute(async (req, res) => {
+    res.json({
+        conditions: Object.keys(ALERT_CONDITIONS).map(id => ({ id, label: ALERT_CONDITIONS[id].label })),
+        rules: await alertService.listRules()
+    });
+}));
+
+app.post('/api/alerts/rules', asyncRoute(async (req, res) => {
+    const error = validateRule(req.body, alertRuleContext);
+    if (error) {
+        return res.status(400).json({ error });
+    }
+    res.status(201).json(await alertService.addRule(req.body));
+}));
+
+// Body: any of { name, threshold, webhookUrl, enabled }
+app.patch('/api/alerts/rules/:id', asyncRoute(async (req, res) => {
+    const changes = req.body || {};
+    const error = validateRuleChanges(changes, alertRuleContext);
+    if (error) {
+        return res.status(400).json({ error });
+    }
+
+    const rule = await alertService.updateRule(req.params.id, changes);
+    if (!rule) {
+        return res.status(404).json({ error: `Unknown alert rule: ${req.params.id}` });
+    }
+    res.json(rule);
+}));
+
+app.delete('/api/alerts/rules/:id', asyncRoute(async (req, res) => {
+    if (!(await alertService.removeRule(req.params.id))) {
+        return res.status(404).json({ error: `Unknown alert rule: ${req.params.id}` });
+    }
+    res.status(204).end();
+}));
+
+// Fired alerts, newest first. Query: limit (default 100)
+app.get('/api/alerts/history', asyncRoute(async (req, res) => {
+    const limit = Math.max(1, Math.min(parseInt(req.query.limit, 10) || 100, 500));
+    res.json({ alerts: await alertService.listHistory(limit) });
+}));
+
+// Evaluate every rule now; responds with the alerts this run fired
+app.post('/api/alerts/evaluate', asyncRoute(async (req, res) => {
+    try {
+        res.json({ fired: await alertService.evaluate() });
+    } catch (error) {
+        console.error('Alert evaluation failed:', error);
+        res.status(500).json({ error: error.message });
+    }
+}));
+
+// Knock-on projections for the other linked sources, priced at their current quotes
+async function projectLinked(record, crossElasticities) {
+    const quotes = await Promise.all(projections.LINKED_SOURCES.map(source => getSourcePrices(source)));
+    const prices = {};
+    const estimated = {};
+    quotes.forEach(quote => {
+        if (quote[record.regionId]) {
+            prices[quote.source] = quote[record.regionId].value;
+            estimated[quote.source] = !!quote[record.regionId].estimated;
+        }
+    });
+
+    const rows = projections.projectLinkedSources(record, prices, {
+        matrix: projections.resolveCrossElasticities(crossElasticities)
+    });
+    return rows.map(row => ({ ...row, isLiveData: !estimated[row.sourceId] }));
+}
+
+// Run a projection with the same engine the detail page uses
+// Body: { source, region, hub, state, usageChange, horizonMonths, demandPath, model, inputs, overrides, simulation,
+// crudePriceChange (refined products: % change in crude passed through to the product),
+// linked (also project the substitution effects on the other linked sources),
+// crossElasticities (overrides of the default matrix, { [source]: { [source]: value } }) }
+app.post('/api/projections', asyncRoute(async (req, res) => {
+    const body = req.body || {};
+    const {
+        source,
+        region = 'us',
+        hub,
+        state,
+        usageChange = 0,
+        crudePriceChange = 0,
+        horizonMonths = 0,
+        demandPath = 'linear',
+        model = 'elasticity',
+        simulation,
+        linked = false,
+        anchor = 'spot'
+    } = body;
+    // null counts as "none given", like a missing field
+    const inputs = body.inputs === undefined || body.inputs === null ? {} : body.inputs;
+    const overrides = body.overrides === undefined || body.overrides === null ? {} : body.overrides;
+    const crossElasticities = body.crossElasticities === undefined || body.crossElasticities === null
+        ? {}
+        : body.crossElasticities;
+
+    if (!hasOwn(projections.ENERGY_SOURCES, source)) {
+        return res.status(404).json({ error: `Unknown energy source: ${source}` });
+    }
+    if (!hasOwn(projections.REGIONS, region)) {
+        return res.status(400).json({ error: `Unknown region: ${region}` });
+    }
+    if (!projections.getSourceRegions(source).includes(region)) {
+        return res.status(400).json({ error: `No ${region} prices for ${source}` });
+    }
+    if (!hasOwn(projections.PROJECTION_MODELS, model)) {
+        return res.status(400).json({ error: `Unknown projection model: ${model}` });
+    }
+    if (!hasOwn(projections.DEMAND_PATHS, demandPath)) {
+        return res.status(400).json({ error: `Unknown demand path: ${demandPath}` });
+    }
+    if (typeof usageChange !== 'number' || !isFinite(usageChange)) {
+        return res.status(400).json({ error: 'usageChange must be a number (percent)' });
+    }
+    if (typeof crudePriceChange !== 'number' || !isFinite(crudePriceChange)) {
+        return res.status(400).json({ error: 'crudePriceChange must be a number (percent)' });
+    }
+    if (linked && !projections.LINKED_SOURCES.includes(source)) {
+        return res.status(400).json({ error: `Linked projections cover ${projections.LINKED_SOURCES.join(', ')}` });
+    }
+    if (!Number.isInteger(horizonMonths) || horizonMonths < 0 || horizonMonths > MAX_HORIZON_MONTHS) {
+        return res.status(400).json({ error: `horizonMonths must be an integer from 0 to ${MAX_HORIZON_MONTHS}` });
+    }
+    if (anchor !== 'spot' && anchor !== 'forward') {
+        return res.status(400).json({ error: 'anchor must be spot or forward' });
+    }
+    if (anchor === 'forward' && !sourceCurves(source)[region]) {
+        return res.status(400).json({ error: `No forward curve for ${source} ${region}` });
+    }
+    const optionsError = validateProjectionOptions({ model, inputs, overrides, crossElasticities }) ||
+        (simulation ? validateSimulation(simulation) : null);
+    if (optionsError) {
+        return res.status(400).json({ error: optionsError });
+    }
+
+    try {
+        const prices = await getSourcePrices(source, { hub, state });
+
+        let forwardCurve = null;
+        if (anchor === 'forward') {
+            forwardCurve = (await getForwardCurves(source))[region].points;
+            if (forwardCurve.length === 0) {
+                throw new Error(`Forward curve for ${source} ${region} is unavailable`);
+            }
+        }
+
+        // The trend model needs recent observations to fit against
+        let history = [];
+        if (projections.PROJECTION_MODELS[model].requiresHistory) {
+            const { months, frequency } = projections.TREND_HISTORY_WINDOW;
+            const to = new Date();
+            const from = new Date(to);
+            from.setMonth(from.getMonth() - months);
+            const series = await getSourceHistory(source, {
+                from: from.toISOString().split('T')[0],
+                to: to.toISOString().split('T')[0],
+                frequency
+            }, { hub, state });
+            history = series[region];
+        }
+
+        const priceOverridden = overrides.currentPrice !== undefined && overrides.currentPrice !== null;
+        const currentPrice = priceOverridden ? overrides.currentPrice : prices[region].value;
+
+        const context = projections.buildProjectionContext(source, {
+            currentPrice,
+            usageIncrease: usageChange,
+            horizonMonths,
+            demandPath,
+            overrides,
+            history,
+            crudePrice: prices[region].crack && prices[region].crack.crudePrice,
+            crudePriceChange,
+            forwardCurve
+        });
+        const record = projections.calculateProjectionRecord(source, region, context, model, inputs);
+
+        record.dataSources = prices.dataSources;
+        record.isLiveData = !prices[region].estimated;
+        record.provenance = prices[region].provenance;
+        record.priceSource = priceOverridden ? 'Override' : prices[region].source;
+        if (prices[region].benchmark) record.benchmark = prices[region].benchmark;
+        if (prices[region].crack) record.crack = prices[region].crack;
+
+        if (linked) {
+            record.linked = await projectLinked(record, crossElasticities);
+        }
+
+        if (simulation) {
+            const result = projections.runMonteCarlo(model, context, record.modelInputs, simulation === true ? {} : simulation);
+            record.simulation = {
+                draws: result.draws,
+                settings: result.settings,
+                p10: result.percentiles.p10,
+                p50: result.percentiles.p50,
+                p90: result.percentiles.p90,
+                histogram: result.histogram,
+                bands: result.bands
+            };
+        }
+
+        res.json(record);
+
+    } catch (error) {
+        console.error('Error calculating projection:', error);
+        res.status(422).json({ error: error.message });
+    }
+}));
+
+// Current and projected annual spend for a consumption mix, priced at current quotes
+// Body: { lines: [{ source, region, hub, state, consumption, usageChange, hedgedVolume, hedgePrice }],
+// horizonMonths, demandPath, model }
+app.post('/api/portfolio', asyncRoute(async (req, res) => {
+    const { lines, horizonMonths = 12, demandPath = 'linear', model = 'elasticity' } = req.body || {};
+
+    if (!Array.isArray(lines) || lines.length === 0 || lines.length > MAX_PORTFOLIO_LINES) {
+        return res.status(400).json({ error: `lines must be an array of 1 to ${MAX_PORTFOLIO_LINES} entries` });
+    }
+    const invalid = lines.map(line => {
+        if (!isPlainObject(line) || !hasOwn(projections.ENERGY_SOURCES, line.source)) return `Unknown energy source: ${line && line.source}`;
+        if (!projections.getSourceRegions(line.source).includes(line.region)) return `No ${line.region} prices for ${line.source}`;
+        if (!(Number(line.consumption) >= 0)) return 'consumption must be a non-negative number';
+        return null;
+    }).find(Boolean);
+    if (invalid) {
+        return res.status(400).json({ error: invalid });
+    }
+    if (!Number.isInteger(horizonMonths) || horizonMonths < 0 || horizonMonths > MAX_HORIZON_MONTHS) {
+        return res.status(400).json({ error: `horizonMonths must be an integer from 0 to ${MAX_HORIZON_MONTHS}` });
+    }
+    if (!hasOwn(projections.PROJECTION_MODELS, model) || projections.PROJECTION_MODELS[model].requiresHistory) {
+        return res.status(400).json({ error: `Unsupported projection model: ${model}` });
+    }
+    if (!hasOwn(projections.DEMAND_PATHS, demandPath)) {
+        return res.status(400).json({ error: `Unknown demand path: ${demandPath}` });
+    }
+
+    try {
+        const results = await Promise.all(lines.map(async line => {
+            const prices = await getSourcePrices(line.source, { hub: line.hub, state: line.state });
+            const price = prices[line.region];
+            const result = projections.calculatePortfolioLine(line, {
+                price: price.value,
+                crudePrice: price.crack && price.crack.crudePrice
+            }, { horizonMonths, demandPath, model });
+            return { ...result, benchmark: price.benchmark, isLiveData: !price.estimated };
+        }));
+
+        res.json({
+            timestamp: new Date().toISOString(),
+            horizonMonths,
+            lines: results,
+            totals: projections.summarizePortfolio(results)
+        });
+    } catch (error) {
+        console.error('Error calculating portfolio:', error);
+        res.status(422).json({ error: error.message });
+    }
+}));
+
 // Health check endpoint
 app.get('/api/health', (req, res) => {
     res.json({
@@ -361,7 +1411,8 @@ app.get('/api/health', (req, res) => {
 });
 
 // API status endpoint
-app.get('/api/status', (req, res) => {
+app.get('/api/status', asyncRoute(async (req, res) => {
+    const ingestion = await ingestionJob.status();
     res.json({
         platform: 'Energy Price Projections',
         coordinator: 'Luke Markham',
@@ -375,32 +1426,58 @@ app.get('/api/status', (req, res) => {
                 configured: !!FRED_API_KEY,
                 description: 'Federal Reserve Economic Data'
             },
-            owid: {
+            irena: {
+                configured: true,
+                description: 'IRENA levelized costs via Our World in Data (no key required)'
+            },
+            lazard: {
                 configured: true,
-                description: 'Our World in Data (no key required)'
+                description: 'Lazard LCOE+ US cost figures (bundled)'
+            },
+            nyiso: {
+                configured: true,
+                description: 'NYISO day-ahead wholesale electricity prices (no key required)'
             },
             yahoo: {
                 configured: true,
-                description: 'Yahoo Finance (no key required)'
+                description: 'Yahoo Finance front-month and futures curve quotes (no key required)'
             }
         },
+        cache: {
+            directory: CACHE_DIR,
+            policies: CACHE_POLICIES
+        },
+        ingestion: {
+            intervalMinutes: INGESTION_INTERVAL_MINUTES,
+            lastRun: ingestion.lastRun,
+            // Last successful and failed upstream fetch per provider
+            providers: ingestion.providers
+        },
+        alerts: {
+            intervalMinutes: ALERT_INTERVAL_MINUTES,
+            webhookConfigured: !!process.env.ALERT_WEBHOOK_URL
+        },
         dataSources: [
             'https://www.eia.gov/opendata/',
             'https://fred.stlouisfed.org/docs/api/fred/',
-            'https://github.com/owid/energy-data',
+            'https://ourworldindata.org/grapher/levelized-cost-of-energy',
+            'https://www.lazard.com/research-insights/levelized-cost-of-energyplus/',
+            'https://mis.nyiso.com/public/',
             'https://finance.yahoo.com/'
         ]
     });
-});
+}));
 
 // Serve the main page
 app.get('/', (req, res) => {
     res.sendFile(path.join(__dirname, 'index.html'));
 });
 
-// Start server
-app.listen(PORT, () => {
-    console.log(`
+// Start server when run directly. Tests and serverless hosts import the app instead, and
+// there stale targets are refreshed on demand (see getSourcePrices).
+if (require.main === module) {
+    app.listen(PORT, () => {
+        console.log(`
 ╔═══════════════════════════════════════════════════════════════╗
 ║                                                               ║
 ║           ENERGY PRICE PROJECTIONS PLATFORM                   ║
@@ -413,14 +1490,18 @@ app.listen(PORT, () => {
 ║   API Status:                                                 ║
 ║   • EIA API Key:  ${EIA_API_KEY ? '✓ Configured' : '✗ Not configured'}                            ║
 ║   • FRED API Key: ${FRED_API_KEY ? '✓ Configured' : '✗ Not configured'}                            ║
-║   • OWID:         ✓ No key required                           ║
+║   • IRENA/OWID:   ✓ No key required                           ║
+║   • NYISO:        ✓ No key required                           ║
 ║   • Yahoo:        ✓ No key required                           ║
 ║                                                               ║
 ╚═══════════════════════════════════════════════════════════════╝
-    `);
+        `);
 
-    if (!EIA_API_KEY || !FRED_API_KEY) {
-        console.log(`
+        ingestionJob.schedule(INGESTION_INTERVAL_MINUTES * 60 * 1000);
+        alertService.schedule(ALERT_INTERVAL_MINUTES * 60 * 1000);
+
+        if (!EIA_API_KEY || !FRED_API_KEY) {
+            console.log(`
 💡 To enable full API access, create a .env file with:
 
    EIA_API_KEY=your_eia_key_here
@@ -429,8 +1510,9 @@ app.listen(PORT, () => {
    Get free API keys at:
    • EIA:  https://www.eia.gov/opendata/register.php
    • FRED: https://fred.stlouisfed.org/docs/api/api_key.html
-        `);
-    }
-});
+            `);
+        }
+    });
+}
 
 module.exports = app;
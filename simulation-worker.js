@@ -0,0 +1,19 @@
+/**
+ * Energy Price Projections - Simulation Worker
+ * Coordinator: Luke Markham
+ *
+ * Runs Monte Carlo simulations off the main thread so the page stays responsive.
+ */
+
+importScripts('projections.js');
+
+self.onmessage = function(event) {
+    const { id, modelId, context, inputs, settings } = event.data;
+
+    try {
+        const result = runMonteCarlo(modelId, context, inputs, settings);
+        self.postMessage({ id, result });
+    } catch (error) {
+        self.postMessage({ id, error: error.message });
+    }
+};
@@ -0,0 +1,164 @@
+/**
+ * Energy Price Projections - Price Alert Tests
+ * Coordinator: Luke Markham
+ *
+ * Runs the alert service against a fake price feed and a local stand-in webhook receiver.
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const http = require('http');
+const os = require('os');
+const path = require('path');
+const fetch = require('node-fetch');
+const { createAlertStore, validateRule, validateRuleChanges, createAlertService } = require('../alerts');
+
+const ruleContext = {
+    sources: ['oil', 'natural-gas'],
+    regionsFor: () => ['us', 'world'],
+    hubsFor: (source, region) => (source === 'natural-gas' && region === 'world' ? ['ttf', 'jkm'] : null),
+    allowedWebhooks: ['https://hooks.example.com']
+};
+
+function tempStore() {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'alerts-test-'));
+    return createAlertStore(path.join(dir, 'alerts.json'));
+}
+
+// Local receiver that records every JSON body posted to it
+async function startReceiver() {
+    const received = [];
+    const server = http.createServer((req, res) => {
+        let body = '';
+        req.on('data', chunk => { body += chunk; });
+        req.on('end', () => {
+            received.push(JSON.parse(body));
+            res.writeHead(204);
+            res.end();
+        });
+    });
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    return { url: `http://127.0.0.1:${server.address().port}/hook`, received, server };
+}
+
+test('rule fires once on crossing and re-arms when the condition clears', async () => {
+    const prices = [80, 90, 95, 80, 91];
+    let value = null;
+    const service = createAlertService({
+        store: tempStore(),
+        getQuote: async () => ({ value, date: '2026-01-01', unit: '/barrel', estimated: false, dayChange: 0, weekChange: 0 }),
+        fetch: async () => ({ ok: true, status: 204 })
+    });
+    await service.addRule({ source: 'oil', region: 'us', condition: 'above', threshold: 85 });
+
+    const firedPerRun = [];
+    for (const price of prices) {
+        value = price;
+        firedPerRun.push((await service.evaluate()).length);
+    }
+    assert.deepStrictEqual(firedPerRun, [0, 1, 0, 0, 1]);
+    assert.strictEqual((await service.listHistory()).length, 2);
+});
+
+test('estimated prices neither fire nor re-arm a rule', async () => {
+    let quote = { value: 90, estimated: true };
+    const service = createAlertService({
+        store: tempStore(),
+        getQuote: async () => quote,
+        fetch: async () => ({ ok: true, status: 204 })
+    });
+    await service.addRule({ source: 'oil', region: 'us', condition: 'above', threshold: 85 });
+
+    assert.strictEqual((await service.evaluate()).length, 0);
+    quote = { value: 90, estimated: false };
+    assert.strictEqual((await service.evaluate()).length, 1);
+});
+
+test('fired alert is delivered to the webhook receiver', async () => {
+    const receiver = await startReceiver();
+    try {
+        const service = createAlertService({
+            store: tempStore(),
+            getQuote: async () => ({ value: 3.5, date: '2026-01-02', unit: '/MMBtu', estimated: false, dayChange: 6, weekChange: 2 }),
+            fetch,
+            webhookUrl: receiver.url
+        });
+        await service.addRule({ source: 'natural-gas', region: 'us', condition: 'day-change', threshold: 5 });
+
+        const [alert] = await service.evaluate();
+        assert.deepStrictEqual(alert.delivery, { status: 'delivered', statusCode: 204 });
+        assert.strictEqual(receiver.received.length, 1);
+        assert.strictEqual(receiver.received[0].type, 'price-alert');
+        assert.strictEqual(receiver.received[0].alert.value, 3.5);
+        assert.strictEqual(receiver.received[0].alert.ruleId, alert.ruleId);
+    } finally {
+        receiver.server.close();
+    }
+});
+
+test('webhooks outside the allowed hosts are skipped', async () => {
+    const posted = [];
+    const service = createAlertService({
+        store: tempStore(),
+        getQuote: async () => ({ value: 90, estimated: false }),
+        fetch: async url => {
+            posted.push(url);
+            return { ok: true, status: 204 };
+        },
+        webhookUrl: 'https://hooks.example.com/default'
+    });
+    await service.addRule({ source: 'oil', region: 'us', condition: 'above', threshold: 85, webhookUrl: 'http://169.254.169.254/latest' });
+
+    const [alert] = await service.evaluate();
+    assert.strictEqual(alert.delivery.status, 'skipped');
+    assert.deepStrictEqual(posted, []);
+});
+
+test('validateRule checks webhook hosts and benchmark hubs', () => {
+    const rule = { source: 'natural-gas', region: 'world', condition: 'above', threshold: 10 };
+
+    assert.strictEqual(validateRule(rule, ruleContext), null);
+    assert.strictEqual(validateRule({ ...rule, hub: 'jkm', webhookUrl: 'https://hooks.example.com/x' }, ruleContext), null);
+    assert.match(validateRule({ ...rule, webhookUrl: 'http://127.0.0.1:8080/' }, ruleContext), /allowed host/);
+    assert.match(validateRule({ ...rule, webhookUrl: 'ftp://hooks.example.com/' }, ruleContext), /allowed host/);
+    assert.match(validateRule({ ...rule, hub: 'nbp' }, ruleContext), /hub must be one of: ttf, jkm/);
+    assert.match(validateRule({ ...rule, region: 'us', hub: 'ttf' }, ruleContext), /no benchmark hubs/);
+    assert.match(validateRule({ ...rule, webhookUrl: 'https://x.test/' }, { ...ruleContext, allowedWebhooks: [] }),
+        /no webhook hosts/);
+});
+
+test('validateRule checks conditions, thresholds, names and the enabled flag', () => {
+    const rule = { source: 'oil', region: 'us', condition: 'above', threshold: 85 };
+
+    assert.match(validateRule({ ...rule, condition: 'toString' }, ruleContext), /condition must be one of/);
+    assert.match(validateRule({ ...rule, threshold: undefined }, ruleContext), /threshold must be a non-negative number/);
+    assert.match(validateRule({ ...rule, threshold: -1 }, ruleContext), /threshold must be a non-negative number/);
+    assert.match(validateRule({ ...rule, name: '  ' }, ruleContext), /name must be a non-empty string/);
+    assert.match(validateRule({ ...rule, enabled: 'no' }, ruleContext), /enabled must be true or false/);
+    assert.strictEqual(validateRule({ ...rule, name: 'WTI spike', enabled: false }, ruleContext), null);
+});
+
+test('rule changes are validated before they are applied', async () => {
+    assert.strictEqual(validateRuleChanges({ threshold: 90, enabled: false, name: null }, ruleContext), null);
+    assert.match(validateRuleChanges([], ruleContext), /Changes must be an object/);
+    assert.match(validateRuleChanges({ threshold: '90' }, ruleContext), /threshold must be a non-negative number/);
+    assert.match(validateRuleChanges({ threshold: Infinity }, ruleContext), /threshold must be a non-negative number/);
+    assert.match(validateRuleChanges({ enabled: 'false' }, ruleContext), /enabled must be true or false/);
+    assert.match(validateRuleChanges({ name: 42 }, ruleContext), /name must be a non-empty string/);
+    assert.match(validateRuleChanges({ webhookUrl: 'http://127.0.0.1/' }, ruleContext), /allowed host/);
+
+    const service = createAlertService({
+        store: tempStore(),
+        getQuote: async () => null,
+        fetch: async () => ({ ok: true, status: 204 })
+    });
+    const rule = await service.addRule({ source: 'oil', region: 'us', condition: 'above', threshold: 85, name: 'WTI spike' });
+
+    await assert.rejects(service.updateRule(rule.id, { enabled: 'false' }), /enabled must be true or false/);
+    assert.strictEqual(rule.enabled, true);
+
+    const updated = await service.updateRule(rule.id, { threshold: 90, enabled: false, name: null });
+    assert.deepStrictEqual([updated.threshold, updated.enabled, updated.name], [90, false, 'oil us above 90']);
+    assert.strictEqual(await service.updateRule('missing', { threshold: 1 }), null);
+});
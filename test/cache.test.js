@@ -0,0 +1,78 @@
+/**
+ * Energy Price Projections - Upstream Cache Tests
+ * Coordinator: Luke Markham
+ *
+ * Runs the cache against in-memory stores and a hand-moved clock.
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { createMemoryStore, createCache } = require('../cache');
+
+const MINUTE = 60 * 1000;
+
+function testCache(policy) {
+    const clock = { time: 0 };
+    const cache = createCache({ stores: [createMemoryStore()], policies: { test: policy }, now: () => clock.time });
+    return { cache, clock };
+}
+
+// Fetcher that answers with the queued results in turn and counts its calls
+function scriptedFetcher(results) {
+    const fetcher = async () => {
+        fetcher.calls++;
+        return results.shift();
+    };
+    fetcher.calls = 0;
+    return fetcher;
+}
+
+test('misses are retried on every call without a missTtl', async () => {
+    const { cache } = testCache({ ttl: MINUTE });
+    const fetcher = scriptedFetcher([null, null]);
+
+    assert.strictEqual(await cache.get('CLZ30.NYM', 'test', fetcher), null);
+    assert.strictEqual(await cache.get('CLZ30.NYM', 'test', fetcher), null);
+    assert.strictEqual(fetcher.calls, 2);
+});
+
+test('misses are remembered for missTtl, then retried', async () => {
+    const { cache, clock } = testCache({ ttl: MINUTE, missTtl: 15 * MINUTE });
+    const fetcher = scriptedFetcher([null, { value: 61.5 }]);
+
+    assert.strictEqual(await cache.get('CLZ30.NYM', 'test', fetcher), null);
+    clock.time = 14 * MINUTE;
+    assert.strictEqual(await cache.get('CLZ30.NYM', 'test', fetcher), null);
+    assert.strictEqual(fetcher.calls, 1);
+
+    clock.time = 15 * MINUTE;
+    const entry = await cache.get('CLZ30.NYM', 'test', fetcher);
+    assert.deepStrictEqual([entry.data, entry.cached], [{ value: 61.5 }, false]);
+    assert.strictEqual(fetcher.calls, 2);
+});
+
+test('a remembered miss still serves the last good entry as stale', async () => {
+    const { cache, clock } = testCache({ ttl: MINUTE, staleWhileRevalidate: 0, maxStale: 60 * MINUTE, missTtl: 15 * MINUTE });
+    const fetcher = scriptedFetcher([{ value: 61.5 }, null]);
+
+    await cache.get('CL=F', 'test', fetcher);
+    clock.time = 2 * MINUTE;
+    assert.strictEqual((await cache.get('CL=F', 'test', fetcher)).stale, true);
+    clock.time = 3 * MINUTE;
+    const entry = await cache.get('CL=F', 'test', fetcher);
+    assert.deepStrictEqual([entry.data, entry.stale], [{ value: 61.5 }, true]);
+    assert.strictEqual(fetcher.calls, 2);
+});
+
+test('memory store drops the least recently used entry beyond maxEntries', async () => {
+    const store = createMemoryStore({ maxEntries: 2 });
+    await store.set('a', { data: 1 });
+    await store.set('b', { data: 2 });
+    // Reading a makes b the oldest
+    assert.deepStrictEqual(await store.get('a'), { data: 1 });
+    await store.set('c', { data: 3 });
+
+    assert.strictEqual(await store.get('b'), null);
+    assert.deepStrictEqual(await store.get('a'), { data: 1 });
+    assert.deepStrictEqual(await store.get('c'), { data: 3 });
+});
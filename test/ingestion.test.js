@@ -0,0 +1,143 @@
+/**
+ * Energy Price Projections - Background Ingestion Tests
+ * Coordinator: Luke Markham
+ *
+ * Runs the ingestion job against a fake provider, a hand-moved clock and an
+ * observation store in a temp directory.
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createObservationStore, createIngestionJob } = require('../ingestion');
+
+function tempStoreFile() {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'ingestion-test-'));
+    return path.join(dir, 'observations.json');
+}
+
+// Fake provider quoting oil in the US from EIA, with an estimate for the world.
+// quotes holds the next US value per target key; a missing one fails the fetch.
+function fakeProvider(quotes) {
+    const fetchTarget = async target => {
+        fetchTarget.calls++;
+        if (!(target.key in quotes)) throw new Error('upstream unavailable');
+        const value = quotes[target.key];
+        const ok = value !== null;
+        return {
+            response: {
+                regions: ['us', 'world'],
+                us: ok ? { value, date: '2026-10-16', source: 'EIA' } : { value: 74.5, estimated: true },
+                world: { value: 78.8, estimated: true }
+            },
+            attempts: [{ provider: 'eia', ok }]
+        };
+    };
+    fetchTarget.calls = 0;
+    return fetchTarget;
+}
+
+function testJob(quotes, targets = [{ key: 'oil', source: 'oil' }]) {
+    const file = tempStoreFile();
+    const store = createObservationStore(file);
+    const clock = { time: Date.parse('2026-10-16T12:00:00Z') };
+    const fetchTarget = fakeProvider(quotes);
+    const job = createIngestionJob({ store, targets: () => targets, fetchTarget, now: () => clock.time });
+    return { file, store, clock, fetchTarget, job };
+}
+
+test('a run stores the snapshot and observations, skipping estimates', async () => {
+    const { file, store, job } = testJob({ oil: 61.37 });
+    const lastRun = await job.run();
+
+    assert.deepStrictEqual(lastRun, {
+        startedAt: '2026-10-16T12:00:00.000Z',
+        finishedAt: '2026-10-16T12:00:00.000Z',
+        targets: 1,
+        failed: []
+    });
+    const snapshot = await store.getSnapshot('oil');
+    assert.strictEqual(snapshot.ingestedAt, '2026-10-16T12:00:00.000Z');
+    assert.strictEqual(snapshot.data.us.value, 61.37);
+    assert.deepStrictEqual(await store.getObservations('oil:us'), [{
+        value: 61.37,
+        date: '2026-10-16',
+        source: 'EIA',
+        observedAt: '2026-10-16T12:00:00.000Z',
+        checkedAt: '2026-10-16T12:00:00.000Z'
+    }]);
+    assert.deepStrictEqual(await store.getObservations('oil:world'), []);
+
+    // Persisted for the next process
+    const reloaded = createObservationStore(file);
+    assert.strictEqual((await reloaded.getObservations('oil:us')).length, 1);
+    assert.deepStrictEqual((await reloaded.load()).lastRun, lastRun);
+});
+
+test('a rerun with unchanged prices adds no observations', async () => {
+    const quotes = { oil: 61.37 };
+    const { store, clock, job } = testJob(quotes);
+    await job.run();
+    clock.time += 60 * 60 * 1000;
+    await job.run();
+
+    const observations = await store.getObservations('oil:us');
+    assert.strictEqual(observations.length, 1);
+    assert.strictEqual(observations[0].observedAt, '2026-10-16T12:00:00.000Z');
+    assert.strictEqual(observations[0].checkedAt, '2026-10-16T13:00:00.000Z');
+
+    quotes.oil = 62.05;
+    await job.run();
+    assert.deepStrictEqual((await store.getObservations('oil:us')).map(point => point.value), [61.37, 62.05]);
+});
+
+test('overlapping runs share one fetch per target', async () => {
+    const { fetchTarget, job } = testJob({ oil: 61.37 });
+    const [first, second] = await Promise.all([job.run(), job.run()]);
+    assert.strictEqual(first, second);
+    assert.strictEqual(fetchTarget.calls, 1);
+});
+
+test('failed upstreams are recorded per provider and per target', async () => {
+    const quotes = { oil: 61.37 };
+    const targets = [{ key: 'oil', source: 'oil' }, { key: 'coal', source: 'coal' }];
+    const { store, clock, job } = testJob(quotes, targets);
+    await job.run();
+
+    // coal threw; oil was still ingested
+    let status = await job.status();
+    assert.deepStrictEqual(status.lastRun.failed, ['coal']);
+    assert.strictEqual(await store.getSnapshot('coal'), null);
+    assert.deepStrictEqual(status.providers.eia, {
+        lastAttemptAt: '2026-10-16T12:00:00.000Z',
+        lastSuccessAt: '2026-10-16T12:00:00.000Z',
+        lastFailureAt: null
+    });
+
+    // EIA answered nothing, so oil fell back to its estimate
+    quotes.oil = null;
+    clock.time += 60 * 60 * 1000;
+    await job.run();
+    status = await job.status();
+    assert.deepStrictEqual(status.providers.eia, {
+        lastAttemptAt: '2026-10-16T13:00:00.000Z',
+        lastSuccessAt: '2026-10-16T12:00:00.000Z',
+        lastFailureAt: '2026-10-16T13:00:00.000Z'
+    });
+    assert.strictEqual((await store.getSnapshot('oil')).data.us.estimated, true);
+    assert.strictEqual((await store.getObservations('oil:us')).length, 1);
+});
+
+test('a single target refresh is saved and shared between callers', async () => {
+    const { file, fetchTarget, job } = testJob({ oil: 61.37 });
+    const target = { key: 'oil', source: 'oil' };
+    const [first, second] = await Promise.all([job.runTarget(target), job.runTarget(target)]);
+
+    assert.strictEqual(first, second);
+    assert.strictEqual(fetchTarget.calls, 1);
+    const saved = JSON.parse(fs.readFileSync(file, 'utf8'));
+    assert.strictEqual(saved.snapshots.oil.data.us.value, 61.37);
+    assert.strictEqual(saved.lastRun, null);
+});
@@ -0,0 +1,284 @@
+/**
+ * Energy Price Projections - Projection Engine Tests
+ * Coordinator: Luke Markham
+ *
+ * Runs the models, the Monte Carlo simulation and the projections built on them
+ * against fixed contexts. Simulations draw from a seeded generator.
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const projections = require('../projections');
+
+const START_DATE = '2026-01-15';
+
+function oilContext(options = {}) {
+    return projections.buildProjectionContext('oil', { currentPrice: 80, startDate: START_DATE, ...options });
+}
+
+// Deterministic stand-in for Math.random (linear congruential generator)
+function seededRandom(seed) {
+    let state = seed;
+    return () => {
+        state = (state * 1664525 + 1013904223) % 4294967296;
+        return state / 4294967296;
+    };
+}
+
+function assertClose(actual, expected, message) {
+    assert.ok(Math.abs(actual - expected) < 1e-9, `${message || ''} expected ${expected}, got ${actual}`);
+}
+
+// ===== Models =====
+test('elasticity model prices immediate demand at the short-run elasticity', () => {
+    const context = oilContext({ usageIncrease: 10, demandPath: 'immediate' });
+    const result = projections.runProjectionModel('elasticity', context);
+    assertClose(result.priceIncrease, 10 / 0.4 * context.supplyConstraintFactor);
+    assert.strictEqual(result.path.length, 1);
+    assert.deepStrictEqual(result.inputs, { adjustmentMonths: 36 });
+});
+
+test('elasticity model relaxes toward the long-run elasticity as supply adjusts', () => {
+    const context = oilContext({ usageIncrease: 10, horizonMonths: 120, demandPath: 'immediate' });
+    const { path } = projections.runProjectionModel('elasticity', context);
+    const factor = context.supplyConstraintFactor;
+    assert.strictEqual(path.length, 121);
+    assert.deepStrictEqual(path.slice(0, 3).map(point => point.date), ['2026-01-15', '2026-02-15', '2026-03-15']);
+    assert.ok(path.every((point, i) => i === 0 || point.price <= path[i - 1].price));
+    assert.ok(path[120].priceChange > 10 / 0.9 * factor && path[120].priceChange < 10 / 0.8 * factor);
+});
+
+test('linear model shares the shift between supply and demand and floors at zero', () => {
+    const context = oilContext({ usageIncrease: 10 });
+    const result = projections.runProjectionModel('linear', context, { demandElasticity: 0.5 });
+    assertClose(result.priceIncrease, 10 / (0.4 / context.supplyConstraintFactor + 0.5));
+
+    const collapse = projections.runProjectionModel('linear', oilContext({ usageIncrease: -100 }), { demandElasticity: 0.01 });
+    assert.strictEqual(collapse.newPrice, 0);
+});
+
+test('mean-reverting model brackets its median path with the P10/P90 range', () => {
+    const context = oilContext({ usageIncrease: 10, horizonMonths: 24 });
+    const { path } = projections.runProjectionModel('mean-reverting', context);
+    // Month 0 has no spread, so its range is the price to rounding
+    assertClose(path[0].high - path[0].low, 0);
+    assert.ok(path.slice(1).every(point => point.low < point.price && point.price < point.high));
+    assert.ok(path[24].high - path[24].low > path[1].high - path[1].low);
+
+    const calm = projections.runProjectionModel('mean-reverting', context, { volatility: 0 });
+    assert.ok(calm.path.every(point => Math.abs(point.high - point.low) < 1e-9));
+});
+
+test('trend model extrapolates the fitted monthly growth and needs history', () => {
+    const history = [];
+    for (let month = 0; month <= 12; month++) {
+        const date = new Date(Date.UTC(2025, month, 1));
+        history.push({ date: date.toISOString().split('T')[0], value: 80 * Math.exp(0.01 * month) });
+    }
+    const result = projections.runProjectionModel('trend', oilContext({ horizonMonths: 6, history }));
+    // Calendar months are not all the same length, so the fit is close but not exact
+    assert.ok(Math.abs(result.priceIncrease - (Math.exp(0.06) - 1) * 100) < 0.1);
+
+    assert.throws(() => projections.runProjectionModel('trend', oilContext({ horizonMonths: 6 })),
+        /Trend extrapolation needs price history/);
+});
+
+// ===== Invalid Inputs =====
+test('model inputs outside their declared range are rejected', () => {
+    assert.strictEqual(projections.validateModelInputs('elasticity', { adjustmentMonths: 12 }), null);
+    assert.strictEqual(projections.validateModelInputs('elasticity', { adjustmentMonths: NaN, unknown: -1 }), null);
+    assert.strictEqual(projections.validateModelInputs('elasticity', { adjustmentMonths: 0 }),
+        'Supply adjustment (months) must be from 1 to 240');
+    assert.strictEqual(projections.validateModelInputs('trend', { lookbackMonths: 13 }),
+        'Lookback (months) must be from 1 to 12');
+
+    assert.throws(() => projections.runProjectionModel('mean-reverting', oilContext(), { volatility: -0.1 }),
+        /Volatility \(annual\) must be from 0 to 5/);
+    assert.throws(() => projections.runProjectionModel('bogus', oilContext()), /Unknown projection model: bogus/);
+    assert.throws(() => projections.buildProjectionContext('bogus', { currentPrice: 80 }), /Unknown energy source: bogus/);
+});
+
+test('assumption overrides apply only when positive numbers', () => {
+    const context = oilContext({ overrides: { elasticity: 0.5, longRunElasticity: -1, adjustmentMonths: 'x', supplyConstraintFactor: null } });
+    assert.strictEqual(context.elasticity, 0.5);
+    assert.strictEqual(context.longRunElasticity, 0.9);
+    assert.deepStrictEqual(context.overrides, { elasticity: 0.5 });
+});
+
+test('simulation settings with bad spreads or distributions are rejected', () => {
+    assert.strictEqual(projections.validateSimulationSettings({ elasticity: { distribution: 'triangular', spread: 0.9 } }), null);
+    assert.strictEqual(projections.validateSimulationSettings({ elasticity: 'wide' }),
+        'simulation.elasticity must be an object of distribution and spread');
+    assert.strictEqual(projections.validateSimulationSettings({ supplyConstraintFactor: { distribution: 'constructor' } }),
+        'simulation.supplyConstraintFactor.distribution must be one of: normal, uniform, triangular');
+    assert.strictEqual(projections.validateSimulationSettings({ elasticity: { spread: '0.2' } }),
+        'simulation.elasticity.spread must be a number from 0 to 0.9');
+
+    const context = oilContext({ usageIncrease: 10 });
+    assert.throws(() => projections.runMonteCarlo('elasticity', context, {}, { elasticity: { spread: 1.5 } }),
+        /simulation\.elasticity\.spread must be a number from 0 to 0\.9/);
+    assert.throws(() => projections.runMonteCarlo('elasticity', context, {}, { draws: 0 }), /Simulation draws must be a positive integer/);
+    assert.throws(() => projections.runMonteCarlo('elasticity', context, {}, { draws: 10, histogramBins: 0 }),
+        /Histogram bin count must be a positive integer/);
+});
+
+// ===== Monte Carlo Simulation =====
+test('Monte Carlo percentiles, bands and histogram cover every draw', () => {
+    const context = oilContext({ usageIncrease: 10, horizonMonths: 12 });
+    const settings = { draws: 500, histogramBins: 10 };
+    const result = projections.runMonteCarlo('elasticity', context, {}, settings, seededRandom(42));
+
+    const { p10, p50, p90 } = result.percentiles;
+    assert.ok(p10 < p50 && p50 < p90);
+    assert.strictEqual(result.bands.length, 13);
+    assert.deepStrictEqual(result.bands[12], { month: 12, date: '2027-01-15', p10, p50, p90 });
+
+    assert.strictEqual(result.histogram.length, 10);
+    assert.strictEqual(result.histogram.reduce((sum, bin) => sum + bin.count, 0), 500);
+    result.histogram.slice(1).forEach((bin, i) => assertClose(bin.from, result.histogram[i].to));
+
+    const rerun = projections.runMonteCarlo('elasticity', context, {}, settings, seededRandom(42));
+    assert.deepStrictEqual(rerun.percentiles, result.percentiles);
+});
+
+test('Monte Carlo with no spread repeats the central projection', () => {
+    const context = oilContext({ usageIncrease: 10, horizonMonths: 12 });
+    const settings = { draws: 20, histogramBins: 5, elasticity: { spread: 0 }, supplyConstraintFactor: { spread: 0 } };
+    const result = projections.runMonteCarlo('elasticity', context, {}, settings, seededRandom(7));
+    const central = projections.runProjectionModel('elasticity', context).newPrice;
+
+    assert.deepStrictEqual(result.percentiles, { p10: central, p50: central, p90: central });
+    // Identical prices all land in the first bin of a unit-width histogram
+    assert.deepStrictEqual(result.histogram[0], { from: central, to: central + 1, count: 20 });
+    assert.ok(result.histogram.slice(1).every(bin => bin.count === 0));
+});
+
+// ===== Crack Spreads =====
+test('crude pass-through moves only the margin with the model and the crude cost with crude', () => {
+    // $84/barrel WTI is $2 of crude in each gallon
+    const base = { currentPrice: 3, usageIncrease: 10, horizonMonths: 12, startDate: START_DATE, crudePrice: 84 };
+    const plain = projections.buildProjectionContext('gasoline', { ...base, crudePrice: undefined });
+    const cracked = projections.buildProjectionContext('gasoline', base);
+    assert.strictEqual(cracked.crudeCost, 2);
+
+    const change = projections.runProjectionModel('elasticity', plain).priceIncrease / 100;
+    assertClose(projections.runProjectionModel('elasticity', cracked).newPrice, 3 * (1 + change) - 2 * change);
+
+    const crudeOnly = projections.buildProjectionContext('gasoline', { ...base, usageIncrease: 0, crudePriceChange: 10 });
+    const { path } = projections.runProjectionModel('elasticity', crudeOnly);
+    assertClose(path[6].price, 3.1);
+    assertClose(path[12].price, 3.2);
+    assertClose(path[12].priceChange, 0.2 / 3 * 100);
+});
+
+test('crack spreads compare a barrel of product with the crude price', () => {
+    assert.deepStrictEqual(projections.getCrackSpread('diesel', 2.5, 80, 'spot'),
+        { crude: 'WTI', kind: 'crack', productPerBarrel: 105, crudePrice: 80, spread: 25 });
+    assert.strictEqual(projections.getCrackSpread('gasoline', 3.15, 80).kind, 'retail-margin');
+    assert.strictEqual(projections.getCrackSpread('oil', 80, 80), null);
+    assert.strictEqual(projections.getCrackSpread('diesel', 2.5, null), null);
+});
+
+// ===== Forward Curves =====
+const FORWARD_CURVE = [
+    { month: '2026-02', value: 82, symbol: 'CLH26.NYM' },
+    { month: '2026-07', value: 86, symbol: 'CLQ26.NYM' },
+    { month: '2027-01', value: 90, symbol: 'CLG27.NYM' }
+];
+
+test('forward curves are described by their back-to-front spread', () => {
+    assert.deepStrictEqual(projections.describeCurveStructure(FORWARD_CURVE),
+        { shape: 'contango', spread: 8, spreadPercent: 8 / 82 * 100, from: '2026-02', to: '2027-01' });
+    assert.strictEqual(projections.describeCurveStructure([...FORWARD_CURVE].reverse()).shape, 'backwardation');
+    assert.strictEqual(projections.describeCurveStructure([{ month: '2026-02', value: 80 }, { month: '2026-03', value: 80.5 }]).shape, 'flat');
+    assert.strictEqual(projections.describeCurveStructure(FORWARD_CURVE.slice(0, 1)), null);
+
+    assert.strictEqual(projections.forwardPriceAt(FORWARD_CURVE, '2026-03').value, 86);
+    assert.strictEqual(projections.forwardPriceAt(FORWARD_CURVE, '2030-01').value, 90);
+});
+
+test('forward anchor follows the curve from month one and records the contract', () => {
+    const context = oilContext({ horizonMonths: 12, forwardCurve: FORWARD_CURVE });
+    const record = projections.calculateProjectionRecord('oil', 'us', context, 'elasticity');
+    assert.deepStrictEqual(record.pricePath.map(point => point.price).filter((price, i) => [0, 1, 6, 12].includes(i)), [80, 82, 86, 90]);
+    assertClose(record.priceIncrease, 12.5);
+    assert.deepStrictEqual(record.forwardAnchor, { month: '2027-01', symbol: 'CLG27.NYM', price: 90, curveShape: 'contango' });
+
+    const spot = projections.calculateProjectionRecord('oil', 'us', oilContext({ horizonMonths: 12, forwardCurve: [] }), 'elasticity');
+    assert.strictEqual(spot.newPrice, 80);
+    assert.strictEqual(spot.forwardAnchor, undefined);
+});
+
+// ===== Linked Projections =====
+test('linked projections apply cross-elasticities to the shocked price change', () => {
+    const shock = projections.calculateProjectionRecord('natural-gas', 'eu',
+        projections.buildProjectionContext('natural-gas', { currentPrice: 11.5, usageIncrease: 10, horizonMonths: 12, startDate: START_DATE }),
+        'elasticity');
+    const prices = { oil: 78.8, coal: 120, solar: 55, renewables: 45, nuclear: 182 };
+    const rows = projections.projectLinkedSources(shock, prices, { startDate: START_DATE });
+
+    // Only sources with a price and data in the shock's region
+    assert.deepStrictEqual(rows.map(row => row.sourceId), ['solar', 'renewables']);
+    const solar = rows[0];
+    assert.strictEqual(solar.crossElasticity, 0.15);
+    assertClose(solar.demandChange, 0.15 * shock.priceIncrease);
+    assert.strictEqual(solar.record.regionId, 'eu');
+    assert.strictEqual(solar.record.currentPrice, 55);
+    assert.ok(solar.record.priceIncrease > 0);
+
+    const matrix = projections.resolveCrossElasticities({ solar: { 'natural-gas': 0, oil: 'x' } });
+    assert.strictEqual(matrix.solar['natural-gas'], 0);
+    assert.strictEqual(matrix.solar.oil, 0.02);
+    const damped = projections.projectLinkedSources(shock, prices, { matrix, startDate: START_DATE });
+    assert.strictEqual(damped[0].record.priceIncrease, 0);
+
+    const gasoline = projections.calculateProjectionRecord('gasoline', 'us',
+        projections.buildProjectionContext('gasoline', { currentPrice: 3 }), 'elasticity');
+    assert.throws(() => projections.projectLinkedSources(gasoline, prices), /Gasoline \(Regular\) is not linked to other sources/);
+});
+
+// ===== Portfolio =====
+test('portfolio lines expose only the unhedged volume to the projected price', () => {
+    const line = projections.calculatePortfolioLine(
+        { source: 'oil', region: 'us', consumption: 1000, usageChange: 10, hedgedVolume: 400, hedgePrice: 70 },
+        { price: 80 },
+        { horizonMonths: 12, demandPath: 'immediate' });
+
+    assertClose(line.projectedConsumption, 1100);
+    assert.strictEqual(line.hedgedVolume, 400);
+    assertClose(line.exposedVolume, 700);
+    assert.strictEqual(line.currentSpend, 400 * 70 + 600 * 80);
+    assertClose(line.projectedSpend, 400 * 70 + 700 * line.newPrice);
+    assertClose(line.priceImpact, 700 * (line.newPrice - 80));
+    assert.strictEqual(line.overHedged, false);
+
+    // An unpriced hedge is locked at the current price; one above the volume bought is flagged
+    const overHedged = projections.calculatePortfolioLine(
+        { source: 'coal', region: 'world', consumption: 100, usageChange: -50, hedgedVolume: 80 },
+        { price: 120 });
+    assert.strictEqual(overHedged.hedgePrice, 120);
+    assert.strictEqual(overHedged.hedgedVolume, 50);
+    assert.strictEqual(overHedged.overHedged, true);
+});
+
+test('portfolio summary totals spend by source and by region', () => {
+    const lines = [
+        { source: 'oil', region: 'us', currentSpend: 100, projectedSpend: 120, priceImpact: 15 },
+        { source: 'oil', region: 'world', currentSpend: 50, projectedSpend: 40, priceImpact: -10 },
+        { source: 'coal', region: 'us', currentSpend: 50, projectedSpend: 60, priceImpact: 10 }
+    ];
+    const summary = projections.summarizePortfolio(lines);
+
+    assert.deepStrictEqual(summary.bySource, {
+        oil: { currentSpend: 150, projectedSpend: 160 },
+        coal: { currentSpend: 50, projectedSpend: 60 }
+    });
+    assert.deepStrictEqual(summary.byRegion, {
+        us: { currentSpend: 150, projectedSpend: 180 },
+        world: { currentSpend: 50, projectedSpend: 40 }
+    });
+    assert.strictEqual(summary.change, 20);
+    assert.strictEqual(summary.changePercent, 10);
+    assert.strictEqual(summary.priceImpact, 15);
+    assert.strictEqual(projections.summarizePortfolio([]).changePercent, 0);
+});
@@ -0,0 +1,204 @@
+/**
+ * Energy Price Projections - Provider Adapter Tests
+ * Coordinator: Luke Markham
+ *
+ * Runs each provider's parsers, and the adapters end to end, against payloads in
+ * test/fixtures. The fixtures follow each upstream's response format, trimmed to a few rows.
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const { PROVIDER_DEFINITIONS, createAdapter } = require('../providers');
+
+const FIXTURES = path.join(__dirname, 'fixtures');
+
+function fixture(name) {
+    return path.join(FIXTURES, name);
+}
+
+function readJSON(name) {
+    return JSON.parse(fs.readFileSync(fixture(name), 'utf8'));
+}
+
+// node-fetch shaped response backed by a fixture file, or a 404 when name is null
+function fixtureResponse(name) {
+    const ok = name !== null;
+    return {
+        ok,
+        status: ok ? 200 : 404,
+        json: async () => (ok ? readJSON(name) : { error: 'Not Found' }),
+        text: async () => (ok ? fs.readFileSync(fixture(name), 'utf8') : ''),
+        buffer: async () => (ok ? fs.readFileSync(fixture(name)) : Buffer.alloc(0)),
+        body: ok ? fs.createReadStream(fixture(name)) : null
+    };
+}
+
+// Adapter for one provider whose requests are answered by route(url) -> fixture name.
+// Requested URLs are recorded, and cachedFetch passes straight through.
+function fixtureAdapter(id, route) {
+    const requests = [];
+    const fetch = async url => {
+        requests.push(url);
+        return fixtureResponse(route(url));
+    };
+    const cachedFetch = (key, provider, fetcher) => fetcher();
+    const adapter = createAdapter(PROVIDER_DEFINITIONS[id], { fetch, cachedFetch, keys: { eia: 'test', fred: 'test' } });
+    return { adapter, requests };
+}
+
+// ===== EIA =====
+test('EIA latest reads the newest row of a v2 response', () => {
+    const point = PROVIDER_DEFINITIONS.eia.parseLatest(readJSON('eia-wti-latest.json'), 'PET.RWTC.D');
+    assert.deepStrictEqual(point, { value: 61.37, date: '2026-10-13', source: 'EIA' });
+});
+
+test('EIA history is oldest first and skips missing values', () => {
+    const points = PROVIDER_DEFINITIONS.eia.parseHistory(readJSON('eia-wti-history.json'), 'PET.RWTC.D');
+    assert.deepStrictEqual(points.map(point => point.date), ['2026-10-08', '2026-10-10', '2026-10-13']);
+    assert.deepStrictEqual(points.map(point => point.value), [62.05, 60.88, 61.37]);
+});
+
+test('EIA retail electricity converts cents/kWh to $/MWh and dates the month', () => {
+    const point = PROVIDER_DEFINITIONS.eia.parseLatest(readJSON('eia-retail-ca-res.json'), 'ELEC.RETAIL.CA.RES');
+    assert.deepStrictEqual(point, { value: 326.4, date: '2026-07-01', source: 'EIA' });
+});
+
+test('EIA empty responses parse to null', () => {
+    assert.strictEqual(PROVIDER_DEFINITIONS.eia.parseLatest(readJSON('eia-empty.json'), 'PET.RWTC.D'), null);
+    assert.strictEqual(PROVIDER_DEFINITIONS.eia.parseHistory(readJSON('eia-empty.json'), 'PET.RWTC.D'), null);
+});
+
+test('EIA adapter sends the key and series facet', async () => {
+    const { adapter, requests } = fixtureAdapter('eia', () => 'eia-wti-latest.json');
+    const point = await adapter.latest('PET.RWTC.D');
+    assert.strictEqual(point.value, 61.37);
+    assert.match(requests[0], /petroleum\/pri\/spt\/data\/.*facets\[series\]\[\]=RWTC.*api_key=test/);
+});
+
+test('EIA history fetches whole years and trims them to the range', async () => {
+    const requests = [];
+    const entries = new Map();
+    const adapter = createAdapter(PROVIDER_DEFINITIONS.eia, {
+        fetch: async url => {
+            requests.push(url);
+            return fixtureResponse('eia-wti-history.json');
+        },
+        // Keeps each key's data, as the server's cache would
+        cachedFetch: async (key, provider, fetcher) => {
+            if (!entries.has(key)) entries.set(key, await fetcher());
+            return entries.get(key);
+        },
+        keys: { eia: 'test' }
+    });
+
+    const week = await adapter.history('PET.RWTC.D', { from: '2026-10-09', to: '2026-10-13', frequency: 'daily' });
+    assert.deepStrictEqual(week.map(point => point.date), ['2026-10-10', '2026-10-13']);
+    const month = await adapter.history('PET.RWTC.D', { from: '2026-10-01', to: '2026-10-11', frequency: 'daily' });
+    assert.deepStrictEqual(month.map(point => point.date), ['2026-10-08', '2026-10-10']);
+
+    assert.deepStrictEqual([...entries.keys()], ['eia_history_PET.RWTC.D_daily_2026-01-01_2026-12-31']);
+    assert.strictEqual(requests.length, 1);
+    assert.match(requests[0], /start=2026-01-01.*end=2026-12-31/);
+});
+
+// ===== FRED =====
+test('FRED latest reads the first observation', () => {
+    const point = PROVIDER_DEFINITIONS.fred.parseLatest(readJSON('fred-uranium-latest.json'));
+    assert.deepStrictEqual(point, { value: 78.25, date: '2026-09-01', source: 'FRED' });
+});
+
+test('FRED history drops observations marked "."', () => {
+    const points = PROVIDER_DEFINITIONS.fred.parseHistory(readJSON('fred-uranium-history.json'));
+    assert.deepStrictEqual(points.map(point => [point.date, point.value]), [
+        ['2026-06-01', 71.1],
+        ['2026-08-01', 75.4],
+        ['2026-09-01', 78.25]
+    ]);
+});
+
+test('FRED adapter returns null without an API key', async () => {
+    const adapter = createAdapter(PROVIDER_DEFINITIONS.fred, {
+        fetch: async () => assert.fail('no request expected'),
+        cachedFetch: (key, provider, fetcher) => fetcher(),
+        keys: {}
+    });
+    assert.strictEqual(adapter.isConfigured(), false);
+    assert.strictEqual(await adapter.history('PURANUSDM', { from: '2026-01-01', to: '2026-09-30', frequency: 'monthly' }), null);
+});
+
+// ===== Yahoo Finance =====
+test('Yahoo latest reads the regular market price', () => {
+    const point = PROVIDER_DEFINITIONS.yahoo.parseLatest(readJSON('yahoo-cl-latest.json'));
+    assert.strictEqual(point.value, 61.52);
+    assert.strictEqual(point.source, 'Yahoo Finance');
+});
+
+test('Yahoo history pairs timestamps with closes and skips nulls', () => {
+    const points = PROVIDER_DEFINITIONS.yahoo.parseHistory(readJSON('yahoo-cl-history.json'));
+    assert.deepStrictEqual(points.map(point => [point.date, point.value]), [
+        ['2026-10-16', 60.75],
+        ['2026-10-17', 61.1],
+        ['2026-10-19', 61.52]
+    ]);
+});
+
+test('Yahoo unknown symbols parse to null', async () => {
+    assert.strictEqual(PROVIDER_DEFINITIONS.yahoo.parseLatest(readJSON('yahoo-not-found.json')), null);
+    const { adapter } = fixtureAdapter('yahoo', () => 'yahoo-not-found.json');
+    assert.strictEqual(await adapter.latest('CLZ99.NYM'), null);
+});
+
+// ===== IRENA =====
+test('IRENA adapter streams the CSV into $/MWh series', async () => {
+    const { adapter, requests } = fixtureAdapter('irena', () => 'irena-lcoe.csv');
+
+    const solar = await adapter.history('USA:solar', { from: '2000-01-01', to: '2026-12-31', frequency: 'monthly' });
+    assert.deepStrictEqual(solar.map(point => [point.date, point.value]), [['2022-12-31', 61], ['2023-12-31', 58]]);
+
+    // ISO codes and OWID names both resolve, quoted names keep their commas
+    assert.strictEqual((await adapter.latest('DEU:offshore-wind')).value, 83);
+    assert.strictEqual((await adapter.latest('World:wind')).value, 33);
+    assert.strictEqual((await adapter.latest('Bonaire, Sint Eustatius and Saba:solar')).value, 112);
+    assert.strictEqual(await adapter.latest('USA:hydro'), null);
+    assert.ok(requests.every(url => url.startsWith('https://ourworldindata.org/')));
+});
+
+test('IRENA adapter returns null when the download fails', async () => {
+    const { adapter } = fixtureAdapter('irena', () => null);
+    assert.strictEqual(await adapter.latest('USA:solar'), null);
+});
+
+// ===== Lazard =====
+test('Lazard serves bundled US figures without a request', async () => {
+    const adapter = createAdapter(PROVIDER_DEFINITIONS.lazard, {
+        fetch: async () => assert.fail('no request expected'),
+        cachedFetch: (key, provider, fetcher) => fetcher(),
+        keys: {}
+    });
+    const latest = await adapter.latest('US:nuclear');
+    assert.deepStrictEqual([latest.date, latest.value, latest.source], ['2024-12-31', 182, 'Lazard LCOE+']);
+
+    const history = await adapter.history('US:solar', { from: '2019-01-01', to: '2021-12-31', frequency: 'monthly' });
+    assert.deepStrictEqual(history.map(point => point.value), [40, 37, 36]);
+    assert.strictEqual(await adapter.latest('DEU:nuclear'), null);
+});
+
+// ===== NYISO =====
+test('NYISO latest averages the hourly zone prices of the day file', () => {
+    const text = fs.readFileSync(fixture('nyiso-damlbmp-zone.csv'), 'utf8');
+    assert.deepStrictEqual(PROVIDER_DEFINITIONS.nyiso.parseLatest(text, 'N.Y.C.'), { value: 47, date: '2026-07-01', source: 'NYISO' });
+    assert.strictEqual(PROVIDER_DEFINITIONS.nyiso.parseLatest(text, 'CAPITL').value, 41);
+    assert.strictEqual(PROVIDER_DEFINITIONS.nyiso.parseLatest(text, 'WEST'), null);
+});
+
+test('NYISO history reads stored and deflated days from the monthly zip', async () => {
+    const { adapter, requests } = fixtureAdapter('nyiso', url =>
+        (url.endsWith('20260701damlbmp_zone_csv.zip') ? 'nyiso-damlbmp-zone-202607.zip' : null));
+
+    const points = await adapter.history('N.Y.C.', { from: '2026-07-01', to: '2026-08-15', frequency: 'daily' });
+    assert.deepStrictEqual(points.map(point => [point.date, point.value]), [['2026-07-01', 47], ['2026-07-02', 52]]);
+    assert.deepStrictEqual(requests.map(url => url.split('/').pop()),
+        ['20260701damlbmp_zone_csv.zip', '20260801damlbmp_zone_csv.zip']);
+});
@@ -0,0 +1,109 @@
+/**
+ * Energy Price Projections - API Validation Tests
+ * Coordinator: Luke Markham
+ *
+ * Runs the Express app on a random port against temp data and cache directories.
+ * Only requests that are answered before any upstream call are made here.
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const fetch = require('node-fetch');
+
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'server-test-'));
+process.env.CACHE_DIR = path.join(dir, 'cache');
+process.env.DATA_DIR = path.join(dir, 'data');
+process.env.EIA_API_KEY = '';
+process.env.FRED_API_KEY = '';
+const app = require('../server');
+
+let server;
+let baseUrl;
+
+test.before(async () => {
+    server = app.listen(0);
+    await new Promise(resolve => server.once('listening', resolve));
+    baseUrl = `http://localhost:${server.address().port}`;
+});
+
+test.after(() => new Promise(resolve => server.close(resolve)));
+
+async function post(route, body) {
+    return fetch(`${baseUrl}${route}`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(body)
+    });
+}
+
+// Names every object inherits, which must not pass for registry entries
+const PROTOTYPE_KEYS = ['toString', 'constructor', 'hasOwnProperty', '__proto__'];
+
+test('source endpoints answer prototype keys with a 404', async () => {
+    for (const route of ['prices', 'observations', 'history', 'curve']) {
+        for (const key of PROTOTYPE_KEYS) {
+            const response = await fetch(`${baseUrl}/api/${route}/${key}`);
+            assert.strictEqual(response.status, 404, `/api/${route}/${key}`);
+            assert.deepStrictEqual(await response.json(), { error: `Unknown energy source: ${key}` });
+        }
+    }
+});
+
+test('projections reject prototype keys for every registry', async () => {
+    const cases = [
+        [{ source: 'toString' }, 404, 'Unknown energy source: toString'],
+        [{ source: 'oil', region: 'constructor' }, 400, 'Unknown region: constructor'],
+        [{ source: 'oil', model: 'toString' }, 400, 'Unknown projection model: toString'],
+        [{ source: 'oil', demandPath: 'valueOf' }, 400, 'Unknown demand path: valueOf']
+    ];
+    for (const [body, status, error] of cases) {
+        const response = await post('/api/projections', body);
+        assert.strictEqual(response.status, status, JSON.stringify(body));
+        assert.deepStrictEqual(await response.json(), { error });
+    }
+});
+
+test('portfolio rejects prototype keys as line sources', async () => {
+    const response = await post('/api/portfolio', { lines: [{ source: 'constructor', region: 'us', consumption: 1 }] });
+    assert.strictEqual(response.status, 400);
+    assert.deepStrictEqual(await response.json(), { error: 'Unknown energy source: constructor' });
+});
+
+test('history rejects prototype keys as frequencies', async () => {
+    const response = await fetch(`${baseUrl}/api/history/oil?frequency=toString`);
+    assert.strictEqual(response.status, 400);
+});
+
+test('projections answer bad simulation settings and model inputs with a 400', async () => {
+    const cases = [
+        [{ simulation: { elasticity: { spread: 'x' } } }, 'simulation.elasticity.spread must be a number from 0 to 0.9'],
+        [{ simulation: { supplyConstraintFactor: { spread: 5 } } }, 'simulation.supplyConstraintFactor.spread must be a number from 0 to 0.9'],
+        [{ simulation: { elasticity: { distribution: 'toString' } } }, 'simulation.elasticity.distribution must be one of: normal, uniform, triangular'],
+        [{ inputs: { adjustmentMonths: 0 } }, 'inputs: Supply adjustment (months) must be from 1 to 240'],
+        [{ model: 'mean-reverting', inputs: { reversionSpeed: 20 } }, 'inputs: Reversion speed (per year) must be from 0 to 12']
+    ];
+    for (const [body, error] of cases) {
+        const response = await post('/api/projections', { source: 'oil', ...body });
+        assert.strictEqual(response.status, 400, JSON.stringify(body));
+        assert.deepStrictEqual(await response.json(), { error });
+    }
+});
+
+test('alert history clamps its limit and rule updates are validated', async () => {
+    for (const limit of ['-5', '0', 'x', '10000']) {
+        const response = await fetch(`${baseUrl}/api/alerts/history?limit=${limit}`);
+        assert.strictEqual(response.status, 200, limit);
+        assert.ok(Array.isArray((await response.json()).alerts));
+    }
+
+    const response = await fetch(`${baseUrl}/api/alerts/rules/missing`, {
+        method: 'PATCH',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ enabled: 'yes' })
+    });
+    assert.strictEqual(response.status, 400);
+    assert.deepStrictEqual(await response.json(), { error: 'enabled must be true or false' });
+});